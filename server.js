@@ -1,62 +1,1066 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
+const os = require('os');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const app = express();
 const port = process.env.PORT || 10000;
 
-// OpenRouter Configuration
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-const OPENROUTER_MODEL = process.env.OPENROUTER_MODEL || 'google/gemini-2.5-pro-exp-03-25:free';
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+// AI provider configuration
+const AI_CONFIG = loadAIConfig();
+const aiProvider = createAIProvider(AI_CONFIG);
 
-// Flag to check if OpenRouter API key is available
-const isAIEnabled = !!OPENROUTER_API_KEY;
+// Per-request state (AI calls made, ...) available to every function of the request
+const requestContext = new AsyncLocalStorage();
+
+// Background jobs for long-running organize requests
+const jobStore = createJobStore(AI_CONFIG.jobs);
+const jobQueue = createJobQueue(AI_CONFIG.jobs.concurrency);
+const runningJobs = new Map();
+
+// Conversations refining a suggested structure (/sessions)
+const sessionStore = createSessionStore(AI_CONFIG.sessions);
+
+// Cache of AI-derived results (categories, suggestions, search scores)
+const resultCache = AI_CONFIG.cache.enabled ? createResultCache(AI_CONFIG.cache) : null;
+
+// API keys with their rate limits and daily AI budgets (auth is off when no key is configured)
+const apiClients = createApiClients(AI_CONFIG.auth);
 
 // Middleware
-app.use(cors());
+app.use(cors(getCorsOptions(AI_CONFIG.auth)));
 app.use(express.json({ limit: '50mb' })); // Increase limit for handling large directory structures
 
-// Function to call OpenRouter API
-async function callOpenRouter(messages, temperature = 0.7) {
-  if (!isAIEnabled) {
-    console.warn('OpenRouter API key not configured. Using fallback responses.');
-    return getFallbackResponse(messages);
+// Loads the AI provider settings from an optional JSON config file, overridden by env variables.
+// Config file format:
+// { "provider": "openai", "providers": { "openai": { "baseUrl": "...", "model": "...", "maxTokens": 1000, "temperature": 0.7 } } }
+function loadAIConfig() {
+  const configPath = process.env.AI_CONFIG_FILE || path.join(__dirname, 'ai.config.json');
+  let fileConfig = {};
+  
+  if (fs.existsSync(configPath)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      console.error(`Invalid AI config file ${configPath}:`, error.message);
+    }
+  } else if (process.env.AI_CONFIG_FILE) {
+    console.error(`AI config file not found: ${configPath}`);
   }
   
-  try {
-    console.log('Calling OpenRouter API with key:', OPENROUTER_API_KEY ? 'Available' : 'Not available');
-    const response = await axios.post(
-      OPENROUTER_API_URL,
-      {
-        model: OPENROUTER_MODEL,
-        messages: messages,
-        temperature: temperature,
-        max_tokens: 1000,
-        stream: false
+  const providers = fileConfig.providers || {};
+  const env = process.env;
+  
+  const config = {
+    provider: env.AI_PROVIDER || fileConfig.provider,
+    providers: {
+      openrouter: {
+        ...providers.openrouter,
+        apiKey: env.OPENROUTER_API_KEY || providers.openrouter?.apiKey,
+        model: env.OPENROUTER_MODEL || providers.openrouter?.model || 'google/gemini-2.5-pro-exp-03-25:free',
+        maxTokens: parseNumber(env.OPENROUTER_MAX_TOKENS) ?? providers.openrouter?.maxTokens,
+        contextTokens: parseNumber(env.OPENROUTER_CONTEXT_TOKENS) ?? providers.openrouter?.contextTokens,
+        temperature: parseNumber(env.OPENROUTER_TEMPERATURE) ?? providers.openrouter?.temperature,
+        fallbackModels: parseList(env.OPENROUTER_FALLBACK_MODELS) || providers.openrouter?.fallbackModels
       },
-      {
+      openai: {
+        ...providers.openai,
+        baseUrl: env.OPENAI_BASE_URL || providers.openai?.baseUrl,
+        apiKey: env.OPENAI_API_KEY || providers.openai?.apiKey,
+        model: env.OPENAI_MODEL || providers.openai?.model,
+        maxTokens: parseNumber(env.OPENAI_MAX_TOKENS) ?? providers.openai?.maxTokens,
+        contextTokens: parseNumber(env.OPENAI_CONTEXT_TOKENS) ?? providers.openai?.contextTokens,
+        temperature: parseNumber(env.OPENAI_TEMPERATURE) ?? providers.openai?.temperature,
+        fallbackModels: parseList(env.OPENAI_FALLBACK_MODELS) || providers.openai?.fallbackModels
+      },
+      mock: {
+        ...providers.mock,
+        responses: env.MOCK_AI_RESPONSES ? parseJSONSetting('MOCK_AI_RESPONSES', env.MOCK_AI_RESPONSES) : providers.mock?.responses
+      }
+    }
+  };
+  
+  const resilience = fileConfig.resilience || {};
+  config.resilience = {
+    timeoutMs: parseNumber(env.AI_TIMEOUT_MS) ?? resilience.timeoutMs ?? 30000,
+    maxRetries: parseNumber(env.AI_MAX_RETRIES) ?? resilience.maxRetries ?? 2,
+    baseDelayMs: parseNumber(env.AI_RETRY_BASE_DELAY_MS) ?? resilience.baseDelayMs ?? 500,
+    maxDelayMs: parseNumber(env.AI_RETRY_MAX_DELAY_MS) ?? resilience.maxDelayMs ?? 8000,
+    maxRetryAfterMs: parseNumber(env.AI_MAX_RETRY_AFTER_MS) ?? resilience.maxRetryAfterMs ?? 15000,
+    failureThreshold: parseNumber(env.AI_CIRCUIT_FAILURE_THRESHOLD) ?? resilience.failureThreshold ?? 5,
+    cooldownMs: parseNumber(env.AI_CIRCUIT_COOLDOWN_MS) ?? resilience.cooldownMs ?? 60000
+  };
+  
+  // Concurrent AI calls when a large tree is split into chunks
+  config.mapConcurrency = parseNumber(env.AI_MAP_CONCURRENCY) ?? fileConfig.mapConcurrency ?? 2;
+  
+  // Limits on the folderData tree accepted by the endpoints
+  const limits = fileConfig.limits || {};
+  config.limits = {
+    maxNodes: parseNumber(env.MAX_TREE_NODES) ?? limits.maxNodes ?? 200000,
+    maxDepth: parseNumber(env.MAX_TREE_DEPTH) ?? limits.maxDepth ?? 64
+  };
+  
+  // Optional per-file hints: each text excerpt is cut to excerptChars, and the excerpts
+  // of one prompt share excerptBudgetTokens
+  const hints = fileConfig.hints || {};
+  config.hints = {
+    excerptChars: parseNumber(env.HINT_EXCERPT_CHARS) ?? hints.excerptChars ?? 300,
+    excerptBudgetTokens: parseNumber(env.HINT_EXCERPT_BUDGET_TOKENS) ?? hints.excerptBudgetTokens ?? 2000
+  };
+  
+  // Cache of AI-derived results: "memory" (LRU) or "disk" (LRU in front of one file per entry)
+  const cache = fileConfig.cache || {};
+  config.cache = {
+    enabled: (env.CACHE_ENABLED ?? String(cache.enabled ?? true)) !== 'false',
+    store: env.CACHE_STORE || cache.store || 'memory',
+    ttlMs: parseNumber(env.CACHE_TTL_MS) ?? cache.ttlMs ?? 24 * 60 * 60 * 1000,
+    maxEntries: parseNumber(env.CACHE_MAX_ENTRIES) ?? cache.maxEntries ?? 500,
+    dir: env.CACHE_DIR || cache.dir || path.join(os.tmpdir(), 'organaizer-cache')
+  };
+  
+  // Optional API keys. Example:
+  // "auth": { "header": "X-API-Key", "keys": [ { "name": "web", "key": "...", "origins": ["https://app.example.com"],
+  //           "requestsPerMinute": 30, "dailyAICalls": 200, "dailyTokens": 200000 } ] }
+  // Limits left out of a key come from "defaults"; a missing limit means unlimited
+  const auth = fileConfig.auth || {};
+  config.auth = {
+    header: env.API_KEY_HEADER || auth.header || 'X-API-Key',
+    keys: (env.API_KEYS ? parseJSONSetting('API_KEYS', env.API_KEYS) : auth.keys) || [],
+    defaults: auth.defaults || {}
+  };
+  
+  // Token required by the /admin endpoints (they are disabled without one)
+  config.adminToken = env.ADMIN_TOKEN || fileConfig.adminToken;
+  
+  // Background jobs (/jobs): how many run at once and where their results are kept
+  const jobs = fileConfig.jobs || {};
+  config.jobs = {
+    concurrency: parseNumber(env.JOBS_CONCURRENCY) ?? jobs.concurrency ?? 2,
+    ttlMs: parseNumber(env.JOBS_TTL_MS) ?? jobs.ttlMs ?? 60 * 60 * 1000,
+    store: env.JOBS_STORE || jobs.store || 'memory',
+    dir: env.JOBS_DIR || jobs.dir || path.join(os.tmpdir(), 'organaizer-jobs')
+  };
+  
+  // Conversational sessions (/sessions): kept in memory, with the recent turns sent verbatim
+  // and the older ones folded into a summary of at most summaryTokens. As each one holds its
+  // tree, the nodes of all the trees are bounded too (maxNodes), and so are the sessions per API key
+  const sessions = fileConfig.sessions || {};
+  config.sessions = {
+    ttlMs: parseNumber(env.SESSIONS_TTL_MS) ?? sessions.ttlMs ?? 60 * 60 * 1000,
+    maxSessions: parseNumber(env.SESSIONS_MAX) ?? sessions.maxSessions ?? 100,
+    maxPerClient: parseNumber(env.SESSIONS_MAX_PER_CLIENT) ?? sessions.maxPerClient ?? 5,
+    maxNodes: parseNumber(env.SESSIONS_MAX_NODES) ?? sessions.maxNodes ?? 1000000,
+    historyTurns: parseNumber(env.SESSION_HISTORY_TURNS) ?? sessions.historyTurns ?? 6,
+    summaryTokens: parseNumber(env.SESSION_SUMMARY_TOKENS) ?? sessions.summaryTokens ?? 600
+  };
+  
+  // Batches (/batch): operations per request, how many run at once and how many AI calls
+  // they may have in flight together
+  const batch = fileConfig.batch || {};
+  config.batch = {
+    maxOperations: parseNumber(env.BATCH_MAX_OPERATIONS) ?? batch.maxOperations ?? 10,
+    concurrency: parseNumber(env.BATCH_CONCURRENCY) ?? batch.concurrency ?? 3,
+    aiConcurrency: parseNumber(env.BATCH_AI_CONCURRENCY) ?? batch.aiConcurrency ?? 2
+  };
+  
+  // Without an explicit choice, keep the historical behavior: OpenRouter when a key is present
+  if (!config.provider) {
+    config.provider = config.providers.openrouter.apiKey ? 'openrouter' : 'none';
+  }
+  
+  return config;
+}
+
+function parseNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return isNaN(number) ? undefined : number;
+}
+
+function parseList(value) {
+  if (!value) return undefined;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseJSONSetting(name, value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error(`Invalid JSON in ${name}:`, error.message);
+    return undefined;
+  }
+}
+
+// Function to create the configured AI provider
+function createAIProvider(config) {
+  const settings = config.providers[config.provider] || {};
+  
+  switch (config.provider) {
+    case 'openrouter':
+      return createOpenAICompatibleProvider({
+        name: 'openrouter',
+        label: 'OpenRouter',
+        baseUrl: 'https://openrouter.ai/api/v1',
         headers: {
-          'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-          'Content-Type': 'application/json',
           'HTTP-Referer': 'https://organaizer-server.onrender.com/',
-          'X-Title': 'OrganAIzer',
-          'User-Agent': 'OrganAIzer/1.0.0'
+          'X-Title': 'OrganAIzer'
+        },
+        requiresApiKey: true,
+        ...settings
+      });
+    case 'openai':
+      return createOpenAICompatibleProvider({
+        name: 'openai',
+        label: 'OpenAI-compatible server',
+        ...settings
+      });
+    case 'mock':
+      return createMockProvider(settings);
+    case 'none':
+      return createDisabledProvider();
+    default:
+      console.error(`Unknown AI provider "${config.provider}". AI features are disabled.`);
+      return createDisabledProvider();
+  }
+}
+
+// Provider for any server exposing the OpenAI chat completions API (OpenRouter, Ollama, llama.cpp, ...)
+function createOpenAICompatibleProvider(settings) {
+  const {
+    name,
+    label,
+    baseUrl,
+    apiKey,
+    model,
+    maxTokens = 1000,
+    contextTokens = 16000,
+    temperature = 0.7,
+    headers = {},
+    requiresApiKey = false,
+    fallbackModels = []
+  } = settings;
+  
+  const enabled = !!baseUrl && !!model && (!requiresApiKey || !!apiKey);
+  if (!enabled) {
+    console.warn(`AI provider "${name}" is not fully configured (base URL, model${requiresApiKey ? ', API key' : ''}). Using fallback responses.`);
+  }
+  
+  return {
+    name,
+    label,
+    model,
+    fallbackModels,
+    maxTokens,
+    contextTokens,
+    temperature,
+    enabled,
+    
+    // With options.onToken the reply is streamed and each piece of text is passed to it
+    async complete(messages, options = {}) {
+      const streaming = typeof options.onToken === 'function';
+      const response = await axios.post(
+        `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+        {
+          model: options.model || model,
+          messages: messages,
+          temperature: options.temperature ?? temperature,
+          max_tokens: options.maxTokens || maxTokens,
+          stream: streaming
+        },
+        {
+          headers: {
+            ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+            'Content-Type': 'application/json',
+            'User-Agent': 'OrganAIzer/1.0.0',
+            ...headers
+          },
+          timeout: options.timeoutMs,
+          signal: options.signal,
+          responseType: streaming ? 'stream' : 'json'
         }
+      );
+      
+      if (streaming) {
+        return readCompletionStream(response.data, options.onToken, options.model || model);
       }
-    );
+      
+      if (!response.data.choices || !response.data.choices[0]) {
+        throw new Error(`Invalid response format from ${label}`);
+      }
+      
+      return {
+        content: response.data.choices[0].message.content,
+        model: response.data.model || options.model || model,
+        usage: response.data.usage || null
+      };
+    }
+  };
+}
+
+// Reads an OpenAI-style SSE completion stream ("data: {...}" lines, ending with "data: [DONE]")
+function readCompletionStream(stream, onToken, model) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let content = '';
+    let usage = null;
+    let failed = false;
+    
+    const handleLine = line => {
+      // Blank lines separate events, lines starting with ":" are keep-alive comments
+      if (!line.startsWith('data:')) return;
+      
+      const data = line.slice(5).trim();
+      if (!data || data === '[DONE]') return;
+      
+      const chunk = JSON.parse(data);
+      if (chunk.error) {
+        throw new Error(chunk.error.message || 'Error in AI response stream');
+      }
+      
+      model = chunk.model || model;
+      usage = chunk.usage || usage;
+      const text = chunk.choices && chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+      if (text) {
+        content += text;
+        onToken(text);
+      }
+    };
+    
+    stream.on('data', data => {
+      if (failed) return;
+      buffer += data.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      
+      try {
+        lines.forEach(line => handleLine(line.trim()));
+      } catch (error) {
+        failed = true;
+        stream.destroy();
+        reject(error);
+      }
+    });
+    
+    stream.on('end', () => {
+      if (failed) return;
+      try {
+        handleLine(buffer.trim());
+        resolve({ content, model, usage });
+      } catch (error) {
+        reject(error);
+      }
+    });
+    
+    stream.on('error', error => {
+      if (!failed) reject(error);
+    });
+  });
+}
+
+// Deterministic provider for tests: replies with the first scripted response whose
+// "match" (substring or "/regex/flags") is found in the last user message
+function createMockProvider(settings) {
+  const { model = 'mock', maxTokens = 1000, contextTokens = 16000, temperature = 0 } = settings;
+  const responses = Array.isArray(settings.responses) ? settings.responses : [];
+  
+  return {
+    name: 'mock',
+    label: 'mock provider',
+    model,
+    fallbackModels: [],
+    maxTokens,
+    contextTokens,
+    temperature,
+    enabled: true,
     
-    console.log('OpenRouter API Response:', JSON.stringify(response.data, null, 2));
+    async complete(messages, options = {}) {
+      const userMessage = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+      const scripted = responses.find(response => matchesMockRule(response.match, userMessage));
+      
+      // Scripted responses can simulate a slow model
+      if (scripted && scripted.delayMs) {
+        await sleep(scripted.delayMs, options.signal);
+      }
+      
+      let content;
+      if (scripted) {
+        content = typeof scripted.content === 'string' ? scripted.content : JSON.stringify(scripted.content);
+      } else {
+        content = getFallbackResponse(messages);
+      }
+      
+      if (typeof options.onToken === 'function') {
+        content.split(/(?<=\s)/).forEach(piece => options.onToken(piece));
+      }
+      
+      return {
+        content,
+        model,
+        usage: {
+          prompt_tokens: Math.ceil(messages.reduce((sum, m) => sum + m.content.length, 0) / 4),
+          completion_tokens: Math.ceil(content.length / 4)
+        }
+      };
+    }
+  };
+}
+
+function matchesMockRule(match, text) {
+  if (match === undefined || match === null || match === '*') return true;
+  
+  const regexMatch = /^\/(.*)\/([a-z]*)$/s.exec(match);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]).test(text);
+  }
+  return text.includes(match);
+}
+
+function createDisabledProvider() {
+  return {
+    name: 'none',
+    label: 'no AI provider',
+    model: null,
+    fallbackModels: [],
+    maxTokens: 1000,
+    contextTokens: 16000,
+    enabled: false,
     
-    if (!response.data.choices || !response.data.choices[0]) {
-      throw new Error('Invalid response format from OpenRouter API');
+    async complete() {
+      throw new Error('No AI provider configured');
+    }
+  };
+}
+
+// Circuit breaker shared by all requests: after repeated failed calls the AI is
+// skipped for a cooldown period and the heuristic fallbacks are used instead
+const aiCircuit = {
+  consecutiveFailures: 0,
+  openUntil: 0
+};
+
+function isAICircuitOpen() {
+  return aiCircuit.openUntil > Date.now();
+}
+
+function recordAIOutcome(success) {
+  if (success) {
+    aiCircuit.consecutiveFailures = 0;
+    aiCircuit.openUntil = 0;
+    return;
+  }
+  
+  aiCircuit.consecutiveFailures++;
+  if (aiCircuit.consecutiveFailures >= AI_CONFIG.resilience.failureThreshold) {
+    aiCircuit.openUntil = Date.now() + AI_CONFIG.resilience.cooldownMs;
+    console.warn(`AI circuit opened after ${aiCircuit.consecutiveFailures} failures, using fallbacks for ${AI_CONFIG.resilience.cooldownMs} ms`);
+  }
+}
+
+// Function to send a chat request through the configured AI provider.
+// Each model of the chain (primary model, then fallbackModels) is tried with a timeout and
+// retried with jittered backoff on transient errors. Returns { content, provider, model,
+// usage, fallback, fallbackReason, attempts }; when the AI is not configured, the circuit
+// is open or every model failed, the content comes from getFallbackResponse.
+async function callAI(messages, options = {}) {
+  const attempts = [];
+  const context = requestContext.getStore();
+  
+  const finish = reply => {
+    const result = { ...reply, attempts };
+    if (context) {
+      context.aiCalls.push(result);
+      if (context.client && !result.fallback) {
+        recordClientUsage(context.client, result.usage);
+      }
+    }
+    return result;
+  };
+  
+  const fallback = (reason, error) => finish({
+    content: getFallbackResponse(messages),
+    provider: 'fallback',
+    model: null,
+    usage: null,
+    fallback: true,
+    fallbackReason: reason,
+    error: error
+  });
+  
+  if (!aiProvider.enabled) {
+    return fallback('disabled');
+  }
+  
+  if (isAICircuitOpen()) {
+    return fallback('circuit-open');
+  }
+  
+  // A request that used up the key's daily budget midway continues without the AI
+  if (context && context.client && getBudgetExhaustion(context.client)) {
+    return fallback('quota-exceeded');
+  }
+  
+  // A cancelled job aborts its pending and future AI calls
+  const signal = options.signal || (context && context.signal);
+  if (signal && signal.aborted) {
+    throw new Error('Request aborted');
+  }
+  
+  const { timeoutMs, maxRetries, baseDelayMs, maxDelayMs, maxRetryAfterMs } = AI_CONFIG.resilience;
+  const models = [...new Set([aiProvider.model, ...(aiProvider.fallbackModels || [])])];
+  let lastError;
+  
+  for (const model of models) {
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      const startedAt = Date.now();
+      
+      try {
+        console.log(`Calling AI provider ${aiProvider.name} (${model}), attempt ${attempt + 1}`);
+        // Streamed tokens of a failed attempt are discarded: clients restart on every calling-model event
+        emitEvent('stage', { stage: 'calling-model', model: model, attempt: attempt + 1 });
+        const reply = await withAISlot(context, () => aiProvider.complete(messages, { ...options, model, timeoutMs, signal }));
+        attempts.push({ model, status: 'ok', durationMs: Date.now() - startedAt });
+        recordAIOutcome(true);
+        
+        return finish({
+          content: reply.content,
+          provider: aiProvider.name,
+          model: reply.model || model,
+          usage: reply.usage,
+          fallback: false
+        });
+      } catch (error) {
+        if (signal && signal.aborted) {
+          throw error;
+        }
+        
+        const failure = describeAIError(error);
+        attempts.push({ model, status: 'error', error: failure.message, httpStatus: failure.httpStatus, durationMs: Date.now() - startedAt });
+        console.error(`Error calling AI provider ${aiProvider.name} (${model}):`, error.response?.data || error.message);
+        lastError = failure;
+        
+        // Credentials problems affect every model: stop the whole chain
+        if (failure.httpStatus === 401 || failure.httpStatus === 403) {
+          recordAIOutcome(false);
+          return fallback('error', failure.message);
+        }
+        
+        if (!failure.retryable || attempt === maxRetries) break;
+        
+        // A long Retry-After is better spent on the next model of the chain
+        if (failure.retryAfterMs !== null && failure.retryAfterMs > maxRetryAfterMs) break;
+        
+        const backoff = Math.random() * Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+        await sleep(Math.max(backoff, failure.retryAfterMs || 0), signal);
+      }
+    }
+  }
+  
+  recordAIOutcome(false);
+  return fallback('error', lastError ? lastError.message : 'Failed to process AI request');
+}
+
+// Classifies an error from the provider: HTTP status, whether to retry and the Retry-After delay
+function describeAIError(error) {
+  const httpStatus = error.response ? error.response.status : null;
+  const isTimeout = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+  const isNetworkError = !error.response && !!error.code;
+  
+  return {
+    message: isTimeout ? t('ai.timeout') : (error.response?.data?.error?.message || error.message),
+    httpStatus: httpStatus,
+    retryable: isTimeout || isNetworkError || httpStatus === 408 || httpStatus === 429 || httpStatus >= 500,
+    retryAfterMs: parseRetryAfter(error.response?.headers?.['retry-after'])
+  };
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new Error('Request aborted'));
+      }, { once: true });
+    }
+  });
+}
+
+// Summarizes the AI calls made while handling a request: which model or fallback produced the result
+function summarizeAICalls(aiCalls) {
+  if (aiCalls.length === 0) return null;
+  
+  const successful = aiCalls.filter(call => !call.fallback);
+  const lastFallback = [...aiCalls].reverse().find(call => call.fallback);
+  
+  return {
+    provider: successful.length > 0 ? successful[successful.length - 1].provider : 'fallback',
+    models: [...new Set(successful.map(call => call.model))],
+    fallback: !!lastFallback,
+    fallbackReason: lastFallback ? lastFallback.fallbackReason : null,
+    calls: aiCalls.length,
+    attempts: aiCalls.reduce((sum, call) => sum + call.attempts.length, 0)
+  };
+}
+
+// Function to ask the AI for JSON matching a schema. An invalid reply gets one repair
+// prompt listing the problems; if that fails too an error is thrown. An optional
+// validate(data) callback adds checks the schema can't express.
+// Returns the callAI result with the parsed value in "data" (unless it is a fallback).
+async function callAIForJSON(messages, schema, options = {}) {
+  const { validate, ...callOptions } = options;
+  
+  const check = content => {
+    let data;
+    try {
+      data = extractJSON(content);
+    } catch (error) {
+      return { errors: [{ pointer: '', message: `invalid JSON: ${error.message}` }] };
     }
     
-    return response.data.choices[0].message.content;
+    let errors = validateAgainstSchema(data, schema);
+    if (errors.length === 0 && validate) {
+      errors = validate(data);
+    }
+    return { data, errors };
+  };
+  
+  const reply = await callAI(messages, callOptions);
+  if (reply.fallback) return reply;
+  
+  const first = check(reply.content);
+  if (first.errors.length === 0) {
+    return { ...reply, data: first.data };
+  }
+  
+  console.warn('Invalid AI JSON reply, asking for a repair:', first.errors);
+  const repairMessages = [
+    ...messages,
+    { role: 'assistant', content: reply.content },
+    {
+      role: 'user',
+      content: `Your reply is not valid. Problems:\n${first.errors.slice(0, 20).map(e => `- ${e.pointer || '/'}: ${e.message}`).join('\n')}\n\n` +
+        `Reply again with only the corrected JSON, matching this JSON schema:\n${JSON.stringify(schema)}`
+    }
+  ];
+  
+  const repaired = await callAI(repairMessages, callOptions);
+  if (repaired.fallback) return repaired;
+  
+  const second = check(repaired.content);
+  if (second.errors.length > 0) {
+    const error = new Error('The AI reply does not match the expected format');
+    error.details = second.errors;
+    throw error;
+  }
+  
+  return { ...repaired, data: second.data };
+}
+
+// Extracts a JSON value from a reply that may wrap it in a code fence or in prose
+function extractJSON(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : text;
+  
+  try {
+    return JSON.parse(candidate.trim());
   } catch (error) {
-    console.error('Error calling OpenRouter API:', error.response?.data || error.message);
-    throw new Error('Failed to process AI request');
+    const start = candidate.search(/[[{]/);
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+    if (start === -1 || end <= start) throw error;
+    return JSON.parse(candidate.slice(start, end + 1));
+  }
+}
+
+// Localization: message catalogs for every server-generated text.
+// The locale comes from the "locale" body parameter or the Accept-Language header
+const SUPPORTED_LOCALES = ['it', 'en', 'de'];
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'it';
+
+const MESSAGES = {
+  it: {
+    'language': 'Italian',
+    'category.documents': 'Documenti',
+    'category.images': 'Immagini',
+    'category.code': 'Codice',
+    'category.data': 'Dati',
+    'category.archives': 'Archivi',
+    'category.video': 'Video',
+    'category.audio': 'Audio',
+    'category.resources': 'Risorse',
+    'category.photos': 'Foto',
+    'category.music': 'Musica',
+    'category.projects': 'Progetti',
+    'category.applications': 'Applicazioni',
+    'subcategory.invoices': 'Fatture',
+    'subcategory.contracts': 'Contratti',
+    'subcategory.receipts': 'Ricevute',
+    'subcategory.statements': 'Estratti conto',
+    'subcategory.payslips': 'Buste paga',
+    'category.other': 'Altri',
+    'ai.disabledNote': 'Funzionalità AI limitata. Configura un provider AI (ad es. una chiave API OpenRouter) per risultati migliori.',
+    'ai.unavailable': 'AI non disponibile',
+    'ai.timeout': 'Timeout della richiesta AI',
+    'fallback.suggestions': 'Ecco alcuni suggerimenti generici per organizzare i tuoi file:\n\n1. Crea una struttura di cartelle basata su progetti o categorie\n2. Usa un sistema di nomenclatura coerente per i file\n3. Separa i file di origine dai file compilati o generati\n4. Archivia regolarmente i file vecchi o non utilizzati\n5. Utilizza cartelle come "Documenti", "Immagini", "Progetti", ecc. per una migliore navigazione\n\nNota: questa è una risposta generata automaticamente perché la funzionalità AI non è configurata.',
+    'fallback.search': 'La funzionalità di ricerca semantica richiede l\'integrazione con un modello AI.\nPer attivare questa funzione, configura una chiave API OpenRouter.',
+    'fallback.default': 'Risposta non disponibile. La funzionalità AI richiede una chiave API OpenRouter configurata.',
+    'search.filtersOnly': 'Corrisponde ai filtri della ricerca',
+    'search.noKeywords': 'Nessuna parola chiave significativa trovata nella query. Prova a essere più specifico.',
+    'search.noResults': 'Nessun file trovato con queste parole chiave.',
+    'search.localOnly': 'Ricerca locale per parole chiave. La ricerca semantica richiede un provider AI configurato.',
+    'search.localAfterError': 'Fallback a ricerca locale per parole chiave a causa di un errore con l\'AI.',
+    'search.partial': 'Analizzati {considered} file su {total}: alcune parti non sono state elaborate dall\'AI.',
+    'suggest.partial': 'Considerati {considered} file su {total}: alcune parti dell\'albero sono arrivate all\'AI solo come totali o sono state tagliate.',
+    'search.matchedTerms': 'Corrisponde a: {terms}',
+    'rename.regexNoMatch': 'Il nome originale non corrisponde alla regex',
+    'rename.emptyName': 'Il nome del file è vuoto',
+    'rename.invalidCharacters': 'Caratteri non validi: {characters}',
+    'rename.reservedName': 'Nome riservato su Windows',
+    'rename.trailingDotOrSpace': 'Su Windows il nome non può terminare con un punto o uno spazio',
+    'rename.hiddenFile': 'Il file diventerebbe nascosto',
+    'rename.officeCompanions': 'Documento Office aperto o con file collegati ({companions}): il nome non viene cambiato',
+    'rename.nameTooLong': 'Il nome supera i 255 byte',
+    'dedupe.exact': 'Stessa dimensione e stesso hash del contenuto',
+    'dedupe.likelySameSize': 'Nome quasi identico e stessa dimensione',
+    'dedupe.likely': 'Nome quasi identico',
+    'dedupe.fuzzyLimit': 'Troppi nomi da confrontare: il confronto dei nomi simili si è fermato dopo {limit} coppie, alcuni duplicati probabili potrebbero mancare.',
+    'plan.duplicateTarget': 'Un altro file verrebbe spostato nella stessa destinazione',
+    'plan.targetExists': 'Esiste già un elemento con lo stesso nome nella destinazione',
+    'plan.cycle': 'Gli spostamenti formano un ciclo e richiedono un nome temporaneo',
+    'cleanup.stale': 'Non modificato da più di {months} mesi (ultima modifica {date})',
+    'cleanup.large': 'Più grande di {size}',
+    'cleanup.junkFile': 'File temporaneo o di sistema ({pattern})',
+    'cleanup.dependencies': 'Dipendenze scaricate, reinstallabili con il gestore di pacchetti',
+    'cleanup.cache': 'Cache generata automaticamente',
+    'cleanup.buildOutput': 'Output di compilazione, rigenerabile dai sorgenti',
+    'cleanup.emptyFolder': 'Cartella vuota',
+    'cleanup.chain': 'Catena di {depth} cartelle con una sola sottocartella: il contenuto di {target} può essere spostato qui',
+    'cleanup.explainUnavailable': 'Spiegazioni AI non disponibili: valuta i risultati manualmente prima di eliminare.',
+    'export.title': 'Riepilogo OrganAIzer: {root}',
+    'export.stats': 'Statistiche',
+    'export.totalFiles': 'File totali',
+    'export.totalSize': 'Dimensione totale',
+    'export.fileTypes': 'Tipi di file',
+    'export.largestFiles': 'File più grandi',
+    'export.oldestFile': 'File più vecchio',
+    'export.newestFile': 'File più recente',
+    'export.name': 'Nome',
+    'export.path': 'Percorso',
+    'export.size': 'Dimensione',
+    'export.files': 'File',
+    'export.categories': 'Categorie',
+    'export.renames': 'Nuovi nomi',
+    'export.newName': 'Nuovo nome',
+    'export.suggestions': 'Suggerimenti',
+    'export.searchResults': 'Risultati della ricerca',
+    'export.score': 'Punteggio',
+    'export.reason': 'Motivo',
+    'export.duplicates': 'Duplicati',
+    'export.keep': 'Da tenere',
+    'export.cleanup': 'Pulizia',
+    'export.reclaimable': 'Spazio recuperabile',
+    'export.plan': 'Piano',
+    'export.planSummary': '{folders} cartelle da creare, {moves} file da spostare, {conflicts} conflitti',
+    'export.none': 'Nessun risultato',
+    'export.timeline': 'Linea temporale',
+    'export.period': 'Periodo',
+    'export.dateSources': 'Origine delle date',
+    'structure.rationale.category': 'Raccoglie i file di tipo {extensions}',
+    'structure.rationale.project': 'Riunisce i file che oggi si trovano in cartelle chiamate "{folder}"',
+    'structure.rationale.year': 'File modificati nel {year}',
+    'structure.rationale.container': 'Raggruppa {folders}',
+    'structure.rationale.hints': 'File riconosciuti dal contenuto o dai metadati',
+    'structure.rationale.units': 'Elementi spostati interi: {types}',
+    'structure.rationale.kept': 'Lasciata com\'è su richiesta',
+    'session.aiUnavailable': 'AI non disponibile: la proposta resta invariata.',
+    'session.invalidReply': 'Non sono riuscito a interpretare la risposta dell\'AI: la proposta resta invariata. Prova a riformulare la richiesta.',
+    'timeline.season.winter': 'Inverno',
+    'timeline.season.spring': 'Primavera',
+    'timeline.season.summer': 'Estate',
+    'timeline.season.autumn': 'Autunno',
+    'structure.counts': '{files} file, {size}'
+  },
+  en: {
+    'language': 'English',
+    'category.documents': 'Documents',
+    'category.images': 'Images',
+    'category.code': 'Code',
+    'category.data': 'Data',
+    'category.archives': 'Archives',
+    'category.video': 'Videos',
+    'category.audio': 'Audio',
+    'category.resources': 'Resources',
+    'category.photos': 'Photos',
+    'category.music': 'Music',
+    'category.projects': 'Projects',
+    'category.applications': 'Applications',
+    'subcategory.invoices': 'Invoices',
+    'subcategory.contracts': 'Contracts',
+    'subcategory.receipts': 'Receipts',
+    'subcategory.statements': 'Statements',
+    'subcategory.payslips': 'Payslips',
+    'category.other': 'Other',
+    'ai.disabledNote': 'Limited AI features. Configure an AI provider (e.g. an OpenRouter API key) for better results.',
+    'ai.unavailable': 'AI not available',
+    'ai.timeout': 'AI request timed out',
+    'fallback.suggestions': 'Here are some generic suggestions to organize your files:\n\n1. Create a folder structure based on projects or categories\n2. Use a consistent naming scheme for your files\n3. Keep source files apart from compiled or generated files\n4. Regularly archive old or unused files\n5. Use folders such as "Documents", "Images", "Projects" for easier navigation\n\nNote: this is an automatic answer because the AI features are not configured.',
+    'fallback.search': 'Semantic search requires an AI model.\nConfigure an OpenRouter API key to enable it.',
+    'fallback.default': 'No answer available. AI features require a configured OpenRouter API key.',
+    'search.filtersOnly': 'Matches the search filters',
+    'search.noKeywords': 'No meaningful keywords found in the query. Try to be more specific.',
+    'search.noResults': 'No files found with these keywords.',
+    'search.localOnly': 'Local keyword search. Semantic search requires a configured AI provider.',
+    'search.localAfterError': 'Fell back to local keyword search because of an AI error.',
+    'search.partial': 'Analyzed {considered} of {total} files: some parts were not processed by the AI.',
+    'suggest.partial': 'Considered {considered} of {total} files: some parts of the tree reached the AI only as totals or were cut.',
+    'search.matchedTerms': 'Matches: {terms}',
+    'rename.regexNoMatch': 'The original name does not match the regex',
+    'rename.emptyName': 'The file name is empty',
+    'rename.invalidCharacters': 'Invalid characters: {characters}',
+    'rename.reservedName': 'Reserved name on Windows',
+    'rename.trailingDotOrSpace': 'On Windows a name cannot end with a dot or a space',
+    'rename.hiddenFile': 'The file would become hidden',
+    'rename.officeCompanions': 'Office document that is open or has linked files ({companions}): the name is kept',
+    'rename.nameTooLong': 'The name is longer than 255 bytes',
+    'dedupe.exact': 'Same size and same content hash',
+    'dedupe.likelySameSize': 'Almost identical name and same size',
+    'dedupe.likely': 'Almost identical name',
+    'dedupe.fuzzyLimit': 'Too many names to compare: similar name matching stopped after {limit} pairs, some likely duplicates may be missing.',
+    'plan.duplicateTarget': 'Another file would be moved to the same destination',
+    'plan.targetExists': 'An item with the same name already exists at the destination',
+    'plan.cycle': 'The moves form a cycle and need a temporary name',
+    'cleanup.stale': 'Not modified for more than {months} months (last modified {date})',
+    'cleanup.large': 'Larger than {size}',
+    'cleanup.junkFile': 'Temporary or system file ({pattern})',
+    'cleanup.dependencies': 'Downloaded dependencies, can be reinstalled with the package manager',
+    'cleanup.cache': 'Automatically generated cache',
+    'cleanup.buildOutput': 'Build output, can be regenerated from the sources',
+    'cleanup.emptyFolder': 'Empty folder',
+    'cleanup.chain': 'Chain of {depth} folders with a single subfolder: the content of {target} can be moved here',
+    'cleanup.explainUnavailable': 'AI explanations unavailable: review the findings manually before deleting anything.',
+    'export.title': 'OrganAIzer summary: {root}',
+    'export.stats': 'Statistics',
+    'export.totalFiles': 'Total files',
+    'export.totalSize': 'Total size',
+    'export.fileTypes': 'File types',
+    'export.largestFiles': 'Largest files',
+    'export.oldestFile': 'Oldest file',
+    'export.newestFile': 'Newest file',
+    'export.name': 'Name',
+    'export.path': 'Path',
+    'export.size': 'Size',
+    'export.files': 'Files',
+    'export.categories': 'Categories',
+    'export.renames': 'New names',
+    'export.newName': 'New name',
+    'export.suggestions': 'Suggestions',
+    'export.searchResults': 'Search results',
+    'export.score': 'Score',
+    'export.reason': 'Reason',
+    'export.duplicates': 'Duplicates',
+    'export.keep': 'Keep',
+    'export.cleanup': 'Cleanup',
+    'export.reclaimable': 'Reclaimable space',
+    'export.plan': 'Plan',
+    'export.planSummary': '{folders} folders to create, {moves} files to move, {conflicts} conflicts',
+    'export.none': 'No results',
+    'export.timeline': 'Timeline',
+    'export.period': 'Period',
+    'export.dateSources': 'Date sources',
+    'structure.rationale.category': 'Collects the {extensions} files',
+    'structure.rationale.project': 'Brings together the files now in folders named "{folder}"',
+    'structure.rationale.year': 'Files modified in {year}',
+    'structure.rationale.container': 'Groups {folders}',
+    'structure.rationale.hints': 'Files recognized from their content or metadata',
+    'structure.rationale.units': 'Items moved as a whole: {types}',
+    'structure.rationale.kept': 'Kept as it is on request',
+    'session.aiUnavailable': 'AI unavailable: the proposal is unchanged.',
+    'session.invalidReply': 'I could not understand the AI reply: the proposal is unchanged. Try rephrasing your request.',
+    'timeline.season.winter': 'Winter',
+    'timeline.season.spring': 'Spring',
+    'timeline.season.summer': 'Summer',
+    'timeline.season.autumn': 'Autumn',
+    'structure.counts': '{files} files, {size}'
+  },
+  de: {
+    'language': 'German',
+    'category.documents': 'Dokumente',
+    'category.images': 'Bilder',
+    'category.code': 'Code',
+    'category.data': 'Daten',
+    'category.archives': 'Archive',
+    'category.video': 'Videos',
+    'category.audio': 'Audio',
+    'category.resources': 'Ressourcen',
+    'category.photos': 'Fotos',
+    'category.music': 'Musik',
+    'category.projects': 'Projekte',
+    'category.applications': 'Programme',
+    'subcategory.invoices': 'Rechnungen',
+    'subcategory.contracts': 'Verträge',
+    'subcategory.receipts': 'Quittungen',
+    'subcategory.statements': 'Kontoauszüge',
+    'subcategory.payslips': 'Gehaltsabrechnungen',
+    'category.other': 'Sonstiges',
+    'ai.disabledNote': 'Eingeschränkte KI-Funktionen. Konfiguriere einen KI-Anbieter (z. B. einen OpenRouter-API-Schlüssel) für bessere Ergebnisse.',
+    'ai.unavailable': 'KI nicht verfügbar',
+    'ai.timeout': 'Zeitüberschreitung der KI-Anfrage',
+    'fallback.suggestions': 'Hier einige allgemeine Vorschläge zur Organisation deiner Dateien:\n\n1. Lege eine Ordnerstruktur nach Projekten oder Kategorien an\n2. Verwende ein einheitliches Benennungsschema\n3. Trenne Quelldateien von kompilierten oder generierten Dateien\n4. Archiviere regelmäßig alte oder ungenutzte Dateien\n5. Verwende Ordner wie "Dokumente", "Bilder", "Projekte" für eine bessere Übersicht\n\nHinweis: Dies ist eine automatische Antwort, da die KI-Funktionen nicht konfiguriert sind.',
+    'fallback.search': 'Die semantische Suche erfordert ein KI-Modell.\nKonfiguriere einen OpenRouter-API-Schlüssel, um sie zu aktivieren.',
+    'fallback.default': 'Keine Antwort verfügbar. Die KI-Funktionen erfordern einen konfigurierten OpenRouter-API-Schlüssel.',
+    'search.filtersOnly': 'Entspricht den Suchfiltern',
+    'search.noKeywords': 'Keine aussagekräftigen Suchbegriffe gefunden. Versuche, genauer zu sein.',
+    'search.noResults': 'Keine Dateien mit diesen Suchbegriffen gefunden.',
+    'search.localOnly': 'Lokale Stichwortsuche. Die semantische Suche erfordert einen konfigurierten KI-Anbieter.',
+    'search.localAfterError': 'Wegen eines KI-Fehlers wurde auf die lokale Stichwortsuche zurückgegriffen.',
+    'search.partial': '{considered} von {total} Dateien analysiert: einige Teile wurden nicht von der KI verarbeitet.',
+    'suggest.partial': '{considered} von {total} Dateien berücksichtigt: einige Teile des Baums erreichten die KI nur als Summen oder wurden gekürzt.',
+    'search.matchedTerms': 'Treffer: {terms}',
+    'rename.regexNoMatch': 'Der ursprüngliche Name passt nicht zur Regex',
+    'rename.emptyName': 'Der Dateiname ist leer',
+    'rename.invalidCharacters': 'Ungültige Zeichen: {characters}',
+    'rename.reservedName': 'Unter Windows reservierter Name',
+    'rename.trailingDotOrSpace': 'Unter Windows darf ein Name nicht mit einem Punkt oder Leerzeichen enden',
+    'rename.hiddenFile': 'Die Datei würde versteckt',
+    'rename.officeCompanions': 'Office-Dokument ist geöffnet oder hat verknüpfte Dateien ({companions}): der Name bleibt erhalten',
+    'rename.nameTooLong': 'Der Name ist länger als 255 Byte',
+    'dedupe.exact': 'Gleiche Größe und gleicher Inhalts-Hash',
+    'dedupe.likelySameSize': 'Fast identischer Name und gleiche Größe',
+    'dedupe.likely': 'Fast identischer Name',
+    'dedupe.fuzzyLimit': 'Zu viele Namen zum Vergleichen: der Vergleich ähnlicher Namen wurde nach {limit} Paaren beendet, einige wahrscheinliche Duplikate könnten fehlen.',
+    'plan.duplicateTarget': 'Eine andere Datei würde an dasselbe Ziel verschoben',
+    'plan.targetExists': 'Am Ziel existiert bereits ein Element mit demselben Namen',
+    'plan.cycle': 'Die Verschiebungen bilden einen Zyklus und benötigen einen temporären Namen',
+    'cleanup.stale': 'Seit mehr als {months} Monaten nicht geändert (zuletzt geändert am {date})',
+    'cleanup.large': 'Größer als {size}',
+    'cleanup.junkFile': 'Temporäre Datei oder Systemdatei ({pattern})',
+    'cleanup.dependencies': 'Heruntergeladene Abhängigkeiten, mit dem Paketmanager neu installierbar',
+    'cleanup.cache': 'Automatisch erzeugter Cache',
+    'cleanup.buildOutput': 'Build-Ausgabe, aus den Quellen neu erzeugbar',
+    'cleanup.emptyFolder': 'Leerer Ordner',
+    'cleanup.chain': 'Kette von {depth} Ordnern mit nur einem Unterordner: der Inhalt von {target} kann hierher verschoben werden',
+    'cleanup.explainUnavailable': 'KI-Erklärungen nicht verfügbar: prüfe die Ergebnisse vor dem Löschen selbst.',
+    'export.title': 'OrganAIzer-Zusammenfassung: {root}',
+    'export.stats': 'Statistik',
+    'export.totalFiles': 'Dateien insgesamt',
+    'export.totalSize': 'Gesamtgröße',
+    'export.fileTypes': 'Dateitypen',
+    'export.largestFiles': 'Größte Dateien',
+    'export.oldestFile': 'Älteste Datei',
+    'export.newestFile': 'Neueste Datei',
+    'export.name': 'Name',
+    'export.path': 'Pfad',
+    'export.size': 'Größe',
+    'export.files': 'Dateien',
+    'export.categories': 'Kategorien',
+    'export.renames': 'Neue Namen',
+    'export.newName': 'Neuer Name',
+    'export.suggestions': 'Vorschläge',
+    'export.searchResults': 'Suchergebnisse',
+    'export.score': 'Punktzahl',
+    'export.reason': 'Grund',
+    'export.duplicates': 'Duplikate',
+    'export.keep': 'Behalten',
+    'export.cleanup': 'Aufräumen',
+    'export.reclaimable': 'Freigebbarer Speicher',
+    'export.plan': 'Plan',
+    'export.planSummary': '{folders} Ordner anzulegen, {moves} Dateien zu verschieben, {conflicts} Konflikte',
+    'export.none': 'Keine Ergebnisse',
+    'export.timeline': 'Zeitachse',
+    'export.period': 'Zeitraum',
+    'export.dateSources': 'Datumsquellen',
+    'structure.rationale.category': 'Sammelt die Dateien vom Typ {extensions}',
+    'structure.rationale.project': 'Führt die Dateien zusammen, die jetzt in Ordnern namens "{folder}" liegen',
+    'structure.rationale.year': 'Im Jahr {year} geänderte Dateien',
+    'structure.rationale.container': 'Fasst {folders} zusammen',
+    'structure.rationale.hints': 'Anhand von Inhalt oder Metadaten erkannte Dateien',
+    'structure.rationale.units': 'Als Ganzes verschobene Elemente: {types}',
+    'structure.rationale.kept': 'Auf Wunsch unverändert belassen',
+    'session.aiUnavailable': 'KI nicht verfügbar: Der Vorschlag bleibt unverändert.',
+    'session.invalidReply': 'Die Antwort der KI war nicht verständlich: Der Vorschlag bleibt unverändert. Formuliere die Anfrage bitte anders.',
+    'timeline.season.winter': 'Winter',
+    'timeline.season.spring': 'Frühling',
+    'timeline.season.summer': 'Sommer',
+    'timeline.season.autumn': 'Herbst',
+    'structure.counts': '{files} Dateien, {size}'
+  }
+};
+
+// Returns the message for the current request locale, with {placeholders} replaced
+function t(key, params = {}) {
+  const catalog = MESSAGES[getLocale()] || MESSAGES[DEFAULT_LOCALE];
+  const message = catalog[key] !== undefined ? catalog[key] : MESSAGES[DEFAULT_LOCALE][key];
+  if (message === undefined) return key;
+  if (typeof message !== 'string') return message;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? params[name] : placeholder));
+}
+
+function getLocale() {
+  const context = requestContext.getStore();
+  return (context && context.locale) || DEFAULT_LOCALE;
+}
+
+// Picks the locale from an explicit parameter, then from Accept-Language (by quality)
+function resolveLocale(requested, acceptLanguage) {
+  const normalize = value => String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  
+  if (requested && SUPPORTED_LOCALES.includes(normalize(requested))) {
+    return normalize(requested);
+  }
+  
+  const preferences = String(acceptLanguage || '')
+    .split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { locale: normalize(tag), quality: quality ? parseFloat(quality.slice(2)) || 0 : 1 };
+    })
+    .filter(preference => SUPPORTED_LOCALES.includes(preference.locale))
+    .sort((a, b) => b.quality - a.quality);
+  
+  return preferences.length > 0 ? preferences[0].locale : DEFAULT_LOCALE;
+}
+
+// Category keys are stable across locales; labels are what the user sees (and folder names)
+const CATEGORY_KEYS = ['documents', 'images', 'code', 'data', 'archives', 'video', 'audio', 'photos', 'music', 'projects', 'applications', 'other'];
+
+// Further names the AI commonly uses for the catch-all bucket
+const OTHER_CATEGORY_ALIASES = ['others', 'misc', 'miscellaneous', 'varie', 'altro', 'vari', 'andere', 'sonstige', 'diverse'];
+
+function getCategoryLabel(key) {
+  return CATEGORY_KEYS.includes(key) || key === 'resources' ? t(`category.${key}`) : key;
+}
+
+// Maps a category name (e.g. from the AI or a rule) to a stable key: known labels in any
+// locale map to the built-in keys, anything else to a slug of the name
+function getCategoryKey(name) {
+  const normalized = removeAccents(String(name)).trim().toLowerCase();
+  
+  if (OTHER_CATEGORY_ALIASES.includes(normalized)) return 'other';
+  
+  for (const key of CATEGORY_KEYS) {
+    const isKnownLabel = SUPPORTED_LOCALES.some(locale =>
+      removeAccents(MESSAGES[locale][`category.${key}`]).toLowerCase() === normalized
+    );
+    if (key === normalized || isKnownLabel) return key;
   }
+  
+  return splitWords(String(name)).join('-') || normalized;
 }
 
 // Function to generate fallback responses
@@ -65,627 +1069,6274 @@ function getFallbackResponse(messages) {
   const userMessage = messages.find(m => m.role === 'user')?.content || '';
   
   // Check message content to determine context
-  if (userMessage.includes('suggest logical categories')) {
+  if (/suggest logical categories/i.test(userMessage)) {
     // Return basic categories for file organization
     return JSON.stringify({
-      "Documenti": [".pdf", ".doc", ".docx", ".txt", ".rtf"],
-      "Immagini": [".jpg", ".jpeg", ".png", ".gif", ".bmp", ".svg"],
-      "Codice": [".js", ".ts", ".py", ".java", ".html", ".css", ".json"],
-      "Archivi": [".zip", ".rar", ".7z", ".tar", ".gz"],
-      "Dati": [".csv", ".xlsx", ".db", ".sql"],
-      "Altri": ["no_extension"]
+      categories: [
+        { name: t('category.documents'), extensions: [".pdf", ".doc", ".docx", ".txt", ".rtf"] },
+        { name: t('category.images'), extensions: [".jpg", ".jpeg", ".png", ".gif", ".bmp", ".svg"] },
+        { name: t('category.code'), extensions: [".js", ".ts", ".py", ".java", ".html", ".css", ".json"] },
+        { name: t('category.archives'), extensions: [".zip", ".rar", ".7z", ".tar", ".gz"] },
+        { name: t('category.data'), extensions: [".csv", ".xlsx", ".db", ".sql"] },
+        { name: t('category.other'), extensions: ["no_extension"] }
+      ]
     });
   } else if (userMessage.includes('suggest the best way to organize')) {
     // Return generic organization suggestions
-    return `
-      Ecco alcuni suggerimenti generici per organizzare i tuoi file:
-      
-      1. Crea una struttura di cartelle basata su progetti o categorie
-      2. Usa un sistema di nomenclatura coerente per i file
-      3. Separa i file di origine dai file compilati o generati
-      4. Archivia regolarmente i file vecchi o non utilizzati
-      5. Utilizza cartelle come "Documenti", "Immagini", "Progetti", ecc. per una migliore navigazione
-      
-      Nota: questa è una risposta generata automaticamente perché la funzionalità AI non è configurata.
-    `;
+    return t('fallback.suggestions');
   } else if (userMessage.includes('Find the ones that best match')) {
     // Return a message about search functionality
-    return `
-      La funzionalità di ricerca semantica richiede l'integrazione con un modello AI.
-      Per attivare questa funzione, configura una chiave API OpenRouter.
-    `;
+    return t('fallback.search');
   }
   
   // Default fallback response
-  return "Risposta non disponibile. La funzionalità AI richiede una chiave API OpenRouter configurata.";
+  return t('fallback.default');
 }
 
 // Main endpoint
-app.post('/organize', async (req, res) => {
+app.post('/organize', authenticate(), async (req, res) => {
+  if (wantsEventStream(req)) {
+    return streamOrganizeRequest(req, res);
+  }
+  
   try {
-    const { folderData, option, userInput } = req.body;
-    
-    if (!folderData) {
-      return res.status(400).json({ error: 'Missing folder data' });
-    }
-    
-    let result;
-    
-    switch (option) {
-      case 'categorize':
-        result = await categorizeFolderContent(folderData);
-        break;
-      case 'rename':
-        result = await suggestRenaming(folderData, userInput);
-        break;
-      case 'suggest':
-        result = await suggestOrganization(folderData);
-        break;
-      case 'search':
-        result = await searchByDescription(folderData, userInput);
-        break;
-      default:
-        return res.status(400).json({ error: 'Invalid option' });
-    }
-    
-    // Add a note if AI is not enabled
-    if (!isAIEnabled) {
-      result.aiStatus = 'disabled';
-      result.aiNote = 'Funzionalità AI limitata. Configura una chiave API OpenRouter per risultati migliori.';
+    const format = req.body && req.body.format;
+    if (format && format !== 'json') {
+      return await sendExport(req, res, format);
     }
     
+    const result = await processOrganizeRequest(req.body, req.get('Accept-Language'), { client: req.apiClient });
     res.json(result);
   } catch (error) {
-    console.error('Error processing request:', error);
-    res.status(500).json({ 
-      error: 'Error processing request',
-      details: error.message 
-    });
+    sendErrorResponse(res, error);
   }
 });
 
-// Function to analyze and categorize folder content
-async function categorizeFolderContent(folderData) {
-  // Extract all files (not folders) from the recursive structure
-  const files = extractAllFiles(folderData);
+// Same payload as /organize, answered as Server-Sent Events
+app.post('/organize/stream', authenticate(), (req, res) => streamOrganizeRequest(req, res));
+
+function wantsEventStream(req) {
+  return (req.get('Accept') || '').includes('text/event-stream');
+}
+
+// Streams an /organize request as Server-Sent Events: "stage" (parsing-tree, categorizing,
+// calling-model, ...), "progress", "token" (text of the AI suggestion as it arrives), "matches"
+// (search matches of each chunk), then "result" with the same document /organize returns, or
+// "error". A client disconnect aborts the AI requests still in flight
+async function streamOrganizeRequest(req, res) {
+  try {
+    validateOrganizeRequest(req.body);
+  } catch (error) {
+    return sendErrorResponse(res, error);
+  }
   
-  // Group files by extension
-  const filesByExtension = {};
-  files.forEach(file => {
-    const ext = file.extension || 'no_extension';
-    if (!filesByExtension[ext]) {
-      filesByExtension[ext] = [];
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
     }
-    filesByExtension[ext].push(file);
   });
   
-  // Determine more meaningful categories using AI or fallback
-  let categories;
-  if (isAIEnabled) {
-    try {
-      categories = await determineCategoriesWithAI(filesByExtension);
-    } catch (error) {
-      console.warn('AI categorization failed, using fallback:', error);
-      categories = getFallbackCategories(filesByExtension);
-    }
-  } else {
-    categories = getFallbackCategories(filesByExtension);
-  }
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
   
-  return {
-    action: 'categorize',
-    categories: categories,
-    filesByCategory: mapFilesToCategories(files, categories)
-  };
-}
-
-// Fallback function for categorization when AI is not available
-function getFallbackCategories(filesByExtension) {
-  const categories = {
-    "Documenti": [".pdf", ".doc", ".docx", ".txt", ".rtf", ".md", ".markdown"],
-    "Immagini": [".jpg", ".jpeg", ".png", ".gif", ".bmp", ".tiff", ".svg", ".ico"],
-    "Codice": [".js", ".ts", ".jsx", ".tsx", ".py", ".java", ".html", ".css", ".json", ".c", ".cpp", ".h", ".php", ".rb"],
-    "Dati": [".csv", ".xlsx", ".xls", ".db", ".sql", ".xml", ".yml", ".yaml"],
-    "Archivi": [".zip", ".rar", ".7z", ".tar", ".gz"],
-    "Altri": ["no_extension"]
+  const send = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+  
+  try {
+    const result = await processOrganizeRequest(req.body, req.get('Accept-Language'), {
+      progress: { filesTotal: 0, filesProcessed: 0, chunksTotal: 0, chunksDone: 0 },
+      signal: controller.signal,
+      onEvent: send,
+      client: req.apiClient
+    });
+    send('result', result);
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    
+    const { status, ...body } = describeRequestError(error);
+    if (status >= 500) {
+      console.error('Error processing request:', error);
+    }
+    send('error', { status, ...body });
+  }
+  
+  res.end();
+}
+
+// Submits an /organize payload as a background job; poll GET /jobs/:id for the result
+app.post('/jobs', authenticate(), async (req, res) => {
+  try {
+    validateOrganizeRequest(req.body);
+    
+    const job = await submitJob(req.body, req.get('Accept-Language'), req.apiClient);
+    res.status(202).location(`/jobs/${job.id}`).json(job);
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+});
+
+// Polling is not counted against the rate limit
+app.get('/jobs/:id', authenticate({ countRequest: false }), async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job || !isOwnedBy(job, req.apiClient)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+});
+
+// Cancels a queued or running job; a finished job is removed from the store
+app.delete('/jobs/:id', authenticate({ countRequest: false }), async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job || !isOwnedBy(job, req.apiClient)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    if (job.status === 'queued' || job.status === 'running') {
+      return res.json(await cancelJob(job.id));
+    }
+    
+    await jobStore.delete(job.id);
+    res.status(204).end();
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+});
+
+// Starts a conversation refining the suggested structure of a folder: { folderData, locale?, options? }.
+// The session keeps the tree summary, the current proposal and the chat history server-side.
+app.post('/sessions', authenticate(), async (req, res) => {
+  try {
+    const session = await createSession(req.body || {}, req.get('Accept-Language'), req.apiClient);
+    res.status(201).location(`/sessions/${session.id}`).json(session);
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+});
+
+// One turn of the conversation: { message }. Returns the reply, the updated suggestion and
+// the diff against the previous one
+app.post('/sessions/:id/messages', authenticate(), async (req, res) => {
+  try {
+    const session = sessionStore.get(req.params.id);
+    if (!session || !isOwnedBy(session, req.apiClient)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(await sendSessionMessage(session, req.body || {}, req.apiClient));
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+});
+
+app.get('/sessions/:id', authenticate({ countRequest: false }), (req, res) => {
+  const session = sessionStore.get(req.params.id);
+  if (!session || !isOwnedBy(session, req.apiClient)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  res.json(describeSession(session));
+});
+
+app.delete('/sessions/:id', authenticate({ countRequest: false }), (req, res) => {
+  const session = sessionStore.get(req.params.id);
+  if (!session || !isOwnedBy(session, req.apiClient)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  sessionStore.delete(session.id);
+  res.status(204).end();
+});
+
+// Runs several /organize options on one tree: { folderData, locale?, options?, operations:
+// [{ id?, option, userInput?, options? }] }. A failed operation doesn't fail the batch.
+app.post('/batch', authenticate(), async (req, res) => {
+  try {
+    res.json(await processBatchRequest(req.body, req.get('Accept-Language'), req.apiClient));
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+});
+
+// Same payload as /organize plus "format": bash, powershell, csv or markdown
+app.post('/export', authenticate(), async (req, res) => {
+  try {
+    await sendExport(req, res, req.body && req.body.format);
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+});
+
+// Runs the organize request and sends its result rendered in the export format
+async function sendExport(req, res, format) {
+  validateExportRequest(req.body, format);
+  
+  // An export covers every search match, not only the requested page
+  const result = await processOrganizeRequest(req.body, req.get('Accept-Language'), { client: req.apiClient, unpaginated: true });
+  const exported = requestContext.run({ aiCalls: [], locale: result.locale }, () =>
+    renderExport(req.body.folderData, result, format)
+  );
+  res.set('Content-Type', exported.contentType);
+  res.set('Content-Disposition', `attachment; filename="${exported.fileName}"`);
+  res.send(exported.content);
+}
+
+// Compares two snapshots of a folder: { before, after, plan? } where plan is a move plan
+// returned by a previous organize request, to check whether it was applied
+app.post('/diff', authenticate(), (req, res) => {
+  try {
+    const { before, after, plan } = req.body || {};
+    if (!before || !after) {
+      throw createHttpError(400, 'Missing snapshots', [
+        ...(before ? [] : [{ pointer: '/before', message: 'is required' }]),
+        ...(after ? [] : [{ pointer: '/after', message: 'is required' }])
+      ]);
+    }
+    validateFolderData(before, '/before');
+    validateFolderData(after, '/after');
+    
+    const context = { aiCalls: [], locale: resolveLocale(req.body.locale, req.get('Accept-Language')) };
+    const result = requestContext.run(context, () => diffSnapshots(before, after, plan));
+    result.locale = context.locale;
+    res.json(result);
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+});
+
+// Remaining rate limit and daily AI budget of the calling API key
+app.get('/quota', authenticate({ countRequest: false }), (req, res) => {
+  if (!req.apiClient) {
+    return res.json({ auth: false });
+  }
+  res.json({ auth: true, ...describeQuota(req.apiClient) });
+});
+
+// Lists the cached results with hit/miss counters
+app.get('/admin/cache', requireAdmin, async (req, res) => {
+  try {
+    if (!resultCache) {
+      return res.json({ enabled: false });
+    }
+    res.json({ enabled: true, ...(await resultCache.inspect()) });
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+});
+
+// Purges the whole cache, or only the entries of one option (?option=search)
+app.delete('/admin/cache', requireAdmin, async (req, res) => {
+  try {
+    const removed = resultCache ? await resultCache.purge(entry => !req.query.option || entry.option === req.query.option) : 0;
+    res.json({ removed });
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+});
+
+app.delete('/admin/cache/:key', requireAdmin, async (req, res) => {
+  try {
+    const removed = resultCache ? await resultCache.purge(entry => entry.key === req.params.key) : 0;
+    if (removed === 0) {
+      return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    res.json({ removed });
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+});
+
+// Function to build the API clients from the auth config, indexed by key
+function createApiClients(settings) {
+  const clients = new Map();
+  
+  settings.keys.forEach((entry, index) => {
+    if (!entry || typeof entry.key !== 'string' || !entry.key) {
+      console.error(`API key #${index + 1} has no "key": ignored`);
+      return;
+    }
+    
+    const limit = name => entry[name] ?? settings.defaults[name] ?? null;
+    clients.set(entry.key, {
+      name: entry.name || `key-${index + 1}`,
+      origins: entry.origins || settings.defaults.origins || null,
+      requestsPerMinute: limit('requestsPerMinute'),
+      dailyAICalls: limit('dailyAICalls'),
+      dailyTokens: limit('dailyTokens'),
+      requests: [],
+      usage: { day: null, aiCalls: 0, tokens: 0 }
+    });
+  });
+  
+  return clients;
+}
+
+// Browsers may only call from the origins of some key; without keys CORS stays open
+function getCorsOptions(settings) {
+  if (settings.keys.length === 0) return {};
+  
+  const origins = settings.keys.flatMap(entry => (entry && entry.origins) || settings.defaults.origins || ['*']);
+  return {
+    origin: (origin, callback) => callback(null, !origin || origins.includes('*') || origins.includes(origin))
+  };
+}
+
+// Middleware checking the API key header, the key's allowed origins, its rate limit and its
+// daily AI budget. Sets req.apiClient; "countRequest: false" checks the key without counting
+// the request (polling, quota). Does nothing when no key is configured
+function authenticate({ countRequest = true } = {}) {
+  return (req, res, next) => {
+    if (apiClients.size === 0) return next();
+    
+    const key = req.get(AI_CONFIG.auth.header);
+    if (!key) {
+      return res.status(401).json({ error: `Missing API key (${AI_CONFIG.auth.header} header)` });
+    }
+    
+    const client = apiClients.get(key);
+    if (!client) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    
+    const origin = req.get('Origin');
+    if (origin && client.origins && !client.origins.includes('*') && !client.origins.includes(origin)) {
+      return res.status(403).json({ error: 'Origin not allowed for this API key' });
+    }
+    
+    req.apiClient = client;
+    if (!countRequest) return next();
+    
+    const rate = checkRateLimit(client);
+    if (client.requestsPerMinute !== null) {
+      res.set('X-RateLimit-Limit', String(client.requestsPerMinute));
+      res.set('X-RateLimit-Remaining', String(rate.remaining));
+    }
+    if (!rate.allowed) {
+      res.set('Retry-After', String(rate.retryAfterSeconds));
+      return res.status(429).json({ error: 'Rate limit exceeded', retryAfterSeconds: rate.retryAfterSeconds });
+    }
+    
+    const exhausted = getBudgetExhaustion(client);
+    if (exhausted) {
+      const retryAfterSeconds = Math.ceil((getNextUTCDay() - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({ error: `Daily AI ${exhausted} budget exhausted`, retryAfterSeconds });
+    }
+    
+    next();
+  };
+}
+
+// Sliding one-minute window: counts the request if it fits
+function checkRateLimit(client) {
+  if (client.requestsPerMinute === null) {
+    return { allowed: true, remaining: null };
+  }
+  
+  const now = Date.now();
+  client.requests = client.requests.filter(time => time > now - 60 * 1000);
+  
+  if (client.requests.length >= client.requestsPerMinute) {
+    return {
+      allowed: false,
+      remaining: 0,
+      retryAfterSeconds: Math.max(1, Math.ceil((client.requests[0] + 60 * 1000 - now) / 1000))
+    };
+  }
+  
+  client.requests.push(now);
+  return { allowed: true, remaining: client.requestsPerMinute - client.requests.length };
+}
+
+// Usage of the current UTC day (reset when the day changes)
+function getDailyUsage(client) {
+  const today = new Date().toISOString().slice(0, 10);
+  if (client.usage.day !== today) {
+    client.usage = { day: today, aiCalls: 0, tokens: 0 };
+  }
+  return client.usage;
+}
+
+// Returns which budget ("calls" or "tokens") is used up, or null
+function getBudgetExhaustion(client) {
+  const usage = getDailyUsage(client);
+  if (client.dailyAICalls !== null && usage.aiCalls >= client.dailyAICalls) return 'calls';
+  if (client.dailyTokens !== null && usage.tokens >= client.dailyTokens) return 'tokens';
+  return null;
+}
+
+// Counts an AI call answered by the model, with the tokens from the provider's "usage"
+function recordClientUsage(client, usage) {
+  const daily = getDailyUsage(client);
+  daily.aiCalls++;
+  if (usage) {
+    daily.tokens += usage.total_tokens ?? ((usage.prompt_tokens || 0) + (usage.completion_tokens || 0));
+  }
+}
+
+function getNextUTCDay() {
+  const now = new Date();
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+}
+
+function describeQuota(client) {
+  const now = Date.now();
+  const recent = client.requests.filter(time => time > now - 60 * 1000);
+  const usage = getDailyUsage(client);
+  const remaining = (limit, used) => limit === null ? null : Math.max(0, limit - used);
+  
+  return {
+    key: client.name,
+    rateLimit: {
+      requestsPerMinute: client.requestsPerMinute,
+      remaining: remaining(client.requestsPerMinute, recent.length),
+      resetInSeconds: recent.length > 0 ? Math.ceil((recent[0] + 60 * 1000 - now) / 1000) : 0
+    },
+    daily: {
+      day: usage.day,
+      aiCalls: { limit: client.dailyAICalls, used: usage.aiCalls, remaining: remaining(client.dailyAICalls, usage.aiCalls) },
+      tokens: { limit: client.dailyTokens, used: usage.tokens, remaining: remaining(client.dailyTokens, usage.tokens) },
+      resetsAt: new Date(getNextUTCDay()).toISOString()
+    }
+  };
+}
+
+// Admin endpoints need the X-Admin-Token header; without ADMIN_TOKEN they don't exist
+function requireAdmin(req, res, next) {
+  if (!AI_CONFIG.adminToken) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  if (!tokensMatch(req.get('X-Admin-Token') || '', String(AI_CONFIG.adminToken))) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  next();
+}
+
+// Constant-time comparison; hashing first gives both sides the same length
+function tokensMatch(given, expected) {
+  const digest = text => crypto.createHash('sha256').update(text).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+function sendErrorResponse(res, error) {
+  const { status, ...body } = describeRequestError(error);
+  if (status >= 500) {
+    console.error('Error processing request:', error);
+  }
+  res.status(status).json(body);
+}
+
+// Status and body to report for an error
+function describeRequestError(error) {
+  // Errors raised with a client status (e.g. an invalid pattern) are not server failures
+  if (error.status && error.status < 500) {
+    return { status: error.status, error: error.message, details: error.details };
+  }
+  return { status: 500, error: 'Error processing request', details: error.message };
+}
+
+const ORGANIZE_OPTIONS = ['categorize', 'rename', 'suggest', 'search', 'dedupe', 'cleanup', 'timeline'];
+
+// Stage reported to streaming clients while each option runs
+const ORGANIZE_STAGES = {
+  categorize: 'categorizing',
+  rename: 'renaming',
+  suggest: 'analyzing',
+  search: 'searching',
+  dedupe: 'finding-duplicates',
+  cleanup: 'finding-cleanup-candidates',
+  timeline: 'grouping-by-date'
+};
+
+// Checks what can be rejected before any work starts (so a job is never queued for a bad payload)
+function validateOrganizeRequest(body) {
+  const { folderData, option } = body || {};
+  
+  if (!folderData) {
+    throw createHttpError(400, 'Missing folder data');
+  }
+  if (!ORGANIZE_OPTIONS.includes(option)) {
+    throw createHttpError(400, 'Invalid option');
+  }
+  
+  validateFolderData(folderData);
+}
+
+const FOLDER_NODE_TYPES = ['directory', 'folder'];
+const EXTENSION_PATTERN = /^\.[^\s./\\]+$/;
+const MAX_REPORTED_TREE_ERRORS = 1000;
+
+// Function to validate the folderData tree before any function walks it. Every node needs a
+// known type, a name and a path; files also need stats.size and stats.mtime (stats.birthtime is
+// optional) and a well-formed extension. Node count and depth are bounded by AI_CONFIG.limits. Throws a 400 listing every
+// problem with its JSON pointer (e.g. /folderData/children/2/stats/mtime), otherwise returns the node count
+function validateFolderData(folderData, pointer = '/folderData') {
+  const { maxNodes, maxDepth } = AI_CONFIG.limits;
+  const errors = [];
+  let nodeCount = 0;
+  let tooManyNodes = false;
+  
+  const validateNode = (node, nodePointer, depth) => {
+    if (tooManyNodes) return;
+    
+    nodeCount++;
+    if (nodeCount > maxNodes) {
+      tooManyNodes = true;
+      errors.push({ pointer: pointer, message: `has more than ${maxNodes} nodes` });
+      return;
+    }
+    
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      errors.push({ pointer: nodePointer, message: 'expected object' });
+      return;
+    }
+    
+    const isFile = node.type === 'file';
+    if (!isFile && !FOLDER_NODE_TYPES.includes(node.type)) {
+      errors.push({
+        pointer: `${nodePointer}/type`,
+        message: node.type === undefined ? 'is required' : `must be one of "file", ${FOLDER_NODE_TYPES.map(type => `"${type}"`).join(', ')}`
+      });
+    }
+    
+    ['name', 'path'].forEach(key => {
+      if (node[key] === undefined) {
+        errors.push({ pointer: `${nodePointer}/${key}`, message: 'is required' });
+      } else if (typeof node[key] !== 'string' || !node[key]) {
+        errors.push({ pointer: `${nodePointer}/${key}`, message: 'expected non-empty string' });
+      }
+    });
+    
+    if (isFile) {
+      validateFileNode(node, nodePointer, errors);
+      return;
+    }
+    
+    if (node.children === undefined) return;
+    if (!Array.isArray(node.children)) {
+      errors.push({ pointer: `${nodePointer}/children`, message: 'expected array' });
+      return;
+    }
+    
+    if (node.children.length > 0 && depth >= maxDepth) {
+      errors.push({ pointer: `${nodePointer}/children`, message: `exceeds the maximum depth of ${maxDepth}` });
+      return;
+    }
+    
+    node.children.forEach((child, index) => validateNode(child, `${nodePointer}/children/${index}`, depth + 1));
+  };
+  
+  validateNode(folderData, pointer, 0);
+  
+  if (errors.length > 0) {
+    const details = errors.slice(0, MAX_REPORTED_TREE_ERRORS);
+    if (errors.length > MAX_REPORTED_TREE_ERRORS) {
+      details.push({ pointer: pointer, message: `${errors.length - MAX_REPORTED_TREE_ERRORS} more problems not listed` });
+    }
+    throw createHttpError(400, 'Invalid folder data', details);
+  }
+  return nodeCount;
+}
+
+function validateFileNode(node, nodePointer, errors) {
+  if (node.extension !== undefined && node.extension !== null && node.extension !== '') {
+    if (typeof node.extension !== 'string' || !EXTENSION_PATTERN.test(node.extension)) {
+      errors.push({ pointer: `${nodePointer}/extension`, message: 'must be a dot followed by the extension (e.g. ".pdf")' });
+    }
+  }
+  
+  if (node.children !== undefined) {
+    errors.push({ pointer: `${nodePointer}/children`, message: 'is not allowed on a file' });
+  }
+  
+  if (!node.stats || typeof node.stats !== 'object') {
+    errors.push({ pointer: `${nodePointer}/stats`, message: node.stats === undefined ? 'is required' : 'expected object' });
+    return;
+  }
+  
+  const { size, mtime, birthtime } = node.stats;
+  if (size === undefined) {
+    errors.push({ pointer: `${nodePointer}/stats/size`, message: 'is required' });
+  } else if (typeof size !== 'number' || !isFinite(size) || size < 0) {
+    errors.push({ pointer: `${nodePointer}/stats/size`, message: 'expected non-negative number' });
+  }
+  
+  if (mtime === undefined) {
+    errors.push({ pointer: `${nodePointer}/stats/mtime`, message: 'is required' });
+  } else if ((typeof mtime !== 'string' && typeof mtime !== 'number') || isNaN(new Date(mtime).getTime())) {
+    errors.push({ pointer: `${nodePointer}/stats/mtime`, message: 'expected date (ISO string or timestamp)' });
+  }
+  
+  // Creation date, when the client's file system knows it
+  if (birthtime !== undefined && ((typeof birthtime !== 'string' && typeof birthtime !== 'number') || isNaN(new Date(birthtime).getTime()))) {
+    errors.push({ pointer: `${nodePointer}/stats/birthtime`, message: 'expected date (ISO string or timestamp)' });
+  }
+  
+  if (node.hints !== undefined) {
+    validateFileHints(node.hints, `${nodePointer}/hints`, errors);
+  }
+}
+
+// Optional hints a client can extract from a file:
+// { mimeType, excerpt, pageCount, exif: { captureDate, camera }, audio: { artist, album, title, genre } }
+function validateFileHints(hints, pointer, errors) {
+  if (!hints || typeof hints !== 'object' || Array.isArray(hints)) {
+    errors.push({ pointer, message: 'expected object' });
+    return;
+  }
+  
+  const expectString = (value, valuePointer) => {
+    if (value !== undefined && typeof value !== 'string') {
+      errors.push({ pointer: valuePointer, message: 'expected string' });
+    }
+  };
+  const expectObject = (value, valuePointer) => {
+    if (value === undefined) return false;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push({ pointer: valuePointer, message: 'expected object' });
+      return false;
+    }
+    return true;
+  };
+  
+  expectString(hints.mimeType, `${pointer}/mimeType`);
+  expectString(hints.excerpt, `${pointer}/excerpt`);
+  
+  if (hints.pageCount !== undefined && (!Number.isInteger(hints.pageCount) || hints.pageCount < 0)) {
+    errors.push({ pointer: `${pointer}/pageCount`, message: 'expected non-negative integer' });
+  }
+  
+  if (expectObject(hints.exif, `${pointer}/exif`)) {
+    const { captureDate, camera } = hints.exif;
+    if (captureDate !== undefined && ((typeof captureDate !== 'string' && typeof captureDate !== 'number') || isNaN(new Date(captureDate).getTime()))) {
+      errors.push({ pointer: `${pointer}/exif/captureDate`, message: 'expected date (ISO string or timestamp)' });
+    }
+    expectString(camera, `${pointer}/exif/camera`);
+  }
+  
+  if (expectObject(hints.audio, `${pointer}/audio`)) {
+    ['artist', 'album', 'title', 'genre'].forEach(tag => expectString(hints.audio[tag], `${pointer}/audio/${tag}`));
+  }
+}
+
+// Runs an /organize payload in its own request context and adds the AI source, the AI
+// status and the locale to the result. "extraContext" lets a job attach its progress and
+// abort signal to the context
+async function processOrganizeRequest(body, acceptLanguage, extraContext = {}) {
+  validateOrganizeRequest(body);
+  
+  const { folderData, option, userInput, options = {} } = body;
+  const context = {
+    aiCalls: [],
+    locale: resolveLocale(body.locale || options.locale, acceptLanguage),
+    ...extraContext
+  };
+  
+  const result = await requestContext.run(context, () => {
+    emitEvent('stage', { stage: 'parsing-tree' });
+    setProgress({ filesTotal: extractAllFiles(folderData).length });
+    
+    emitEvent('stage', { stage: ORGANIZE_STAGES[option] });
+    return runOrganizeOption(folderData, option, userInput, options);
+  });
+  
+  return addRequestInfo(result, context);
+}
+
+// Adds what the request used (AI calls, cache, AI status, locale) to its result
+function addRequestInfo(result, context) {
+  const aiSource = summarizeAICalls(context.aiCalls);
+  if (aiSource) {
+    result.aiSource = aiSource;
+  }
+  
+  if (context.cache) {
+    result.cache = context.cache;
+  }
+  
+  // Add a note if AI is not enabled
+  if (!aiProvider.enabled) {
+    result.aiStatus = 'disabled';
+    result.aiNote = requestContext.run(context, () => t('ai.disabledNote'));
+  }
+  
+  result.locale = context.locale;
+  
+  return result;
+}
+
+// Function to run the operations of a batch. The tree is validated and analyzed once, and the
+// operations share the memoized walks of the tree (see memoizeForRequest) and a limit on the AI
+// calls in flight; each one gets its own result or error, AI source and cache info.
+async function processBatchRequest(body, acceptLanguage, client) {
+  validateBatchRequest(body);
+  
+  const { folderData, operations, options = {} } = body;
+  const shared = {
+    locale: resolveLocale(body.locale || options.locale, acceptLanguage),
+    client: client,
+    memo: {},
+    aiLimiter: createLimiter(Math.max(1, AI_CONFIG.batch.aiConcurrency))
+  };
+  requestContext.run({ ...shared, aiCalls: [] }, () => analyzeFolder(folderData));
+  
+  const results = await mapWithConcurrency(operations, AI_CONFIG.batch.concurrency, async (operation, index) => {
+    const context = { ...shared, aiCalls: [] };
+    const entry = { id: operation.id !== undefined ? operation.id : String(index), option: operation.option };
+    
+    try {
+      const result = await requestContext.run(context, () =>
+        runOrganizeOption(folderData, operation.option, operation.userInput, { ...options, ...operation.options })
+      );
+      return { ...entry, status: 'ok', result: addRequestInfo(result, context) };
+    } catch (error) {
+      const { status, ...errorBody } = describeRequestError(error);
+      if (status >= 500) {
+        console.error(`Error processing batch operation ${entry.id}:`, error);
+      }
+      return { ...entry, status: 'error', error: { status, ...errorBody } };
+    }
+  });
+  
+  const failed = results.filter(result => result.status === 'error').length;
+  return {
+    operations: results,
+    summary: {
+      total: results.length,
+      succeeded: results.length - failed,
+      failed: failed
+    },
+    locale: shared.locale
+  };
+}
+
+// Checks the tree and the shape of every operation before any of them runs
+function validateBatchRequest(body) {
+  const { folderData, operations } = body || {};
+  
+  if (!folderData) {
+    throw createHttpError(400, 'Missing folder data');
+  }
+  
+  const { maxOperations } = AI_CONFIG.batch;
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw createHttpError(400, 'Invalid operations', [{ pointer: '/operations', message: 'expected non-empty array' }]);
+  }
+  if (operations.length > maxOperations) {
+    throw createHttpError(400, 'Invalid operations', [{ pointer: '/operations', message: `at most ${maxOperations} operations are allowed` }]);
+  }
+  
+  const errors = [];
+  const ids = new Set();
+  operations.forEach((operation, index) => {
+    const pointer = `/operations/${index}`;
+    if (!operation || typeof operation !== 'object' || Array.isArray(operation)) {
+      errors.push({ pointer, message: 'expected object' });
+      return;
+    }
+    if (!ORGANIZE_OPTIONS.includes(operation.option)) {
+      errors.push({ pointer: `${pointer}/option`, message: `must be one of ${ORGANIZE_OPTIONS.map(option => `"${option}"`).join(', ')}` });
+    }
+    if (operation.userInput !== undefined && typeof operation.userInput !== 'string') {
+      errors.push({ pointer: `${pointer}/userInput`, message: 'expected string' });
+    }
+    if (operation.options !== undefined && (!operation.options || typeof operation.options !== 'object' || Array.isArray(operation.options))) {
+      errors.push({ pointer: `${pointer}/options`, message: 'expected object' });
+    }
+    if (operation.id !== undefined) {
+      if (typeof operation.id !== 'string' || !operation.id) {
+        errors.push({ pointer: `${pointer}/id`, message: 'expected non-empty string' });
+      } else if (ids.has(operation.id)) {
+        errors.push({ pointer: `${pointer}/id`, message: `duplicate id "${operation.id}"` });
+      }
+      ids.add(operation.id);
+    }
+  });
+  if (errors.length > 0) {
+    throw createHttpError(400, 'Invalid operations', errors);
+  }
+  
+  validateFolderData(folderData);
+}
+
+// Sends an event to the client of a streaming request (no-op for other requests)
+function emitEvent(event, data) {
+  const context = requestContext.getStore();
+  if (context && context.onEvent) {
+    context.onEvent(event, data);
+  }
+}
+
+// Listener that streams AI tokens to the client, when the request is streaming
+function getTokenListener() {
+  const context = requestContext.getStore();
+  return context && context.onEvent ? text => emitEvent('token', { text }) : undefined;
+}
+
+// Sets progress counters of the current job or stream (no-op for plain requests)
+function setProgress(values) {
+  const context = requestContext.getStore();
+  if (context && context.progress) {
+    Object.assign(context.progress, values);
+    emitEvent('progress', { ...context.progress });
+  }
+}
+
+// Increments progress counters of the current job or stream
+function advanceProgress(deltas) {
+  const context = requestContext.getStore();
+  if (context && context.progress) {
+    Object.entries(deltas).forEach(([key, delta]) => {
+      context.progress[key] = (context.progress[key] || 0) + delta;
+    });
+    emitEvent('progress', { ...context.progress });
+  }
+}
+
+// Function to create a job for the payload and queue it. The payload and the abort
+// controller stay in memory; only the serializable job record goes to the store
+async function submitJob(body, acceptLanguage, client) {
+  const now = new Date();
+  const job = {
+    id: crypto.randomUUID(),
+    owner: client ? client.name : null,
+    option: body.option,
+    status: 'queued',
+    createdAt: now.toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    expiresAt: null,
+    progress: { filesTotal: 0, filesProcessed: 0, chunksTotal: 0, chunksDone: 0 },
+    result: null,
+    error: null
+  };
+  
+  const controller = new AbortController();
+  runningJobs.set(job.id, { job, controller });
+  await saveJob(job);
+  
+  jobQueue.push(() => runJob(job, body, acceptLanguage, controller, client));
+  return job;
+}
+
+async function runJob(job, body, acceptLanguage, controller, client) {
+  if (controller.signal.aborted) return;
+  
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  await saveJob(job);
+  
+  try {
+    const result = await processOrganizeRequest(body, acceptLanguage, {
+      progress: job.progress,
+      signal: controller.signal,
+      client: client
+    });
+    
+    if (controller.signal.aborted) return;
+    job.status = 'completed';
+    job.progress.filesProcessed = job.progress.filesTotal;
+    job.result = result;
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    
+    console.error(`Job ${job.id} failed:`, error);
+    job.status = 'failed';
+    job.error = describeRequestError(error);
+  } finally {
+    // The in-memory copy answers GET /jobs/:id until the final record is stored
+    if (!controller.signal.aborted) {
+      job.finishedAt = new Date().toISOString();
+      try {
+        await saveJob(job);
+      } finally {
+        runningJobs.delete(job.id);
+      }
+    }
+  }
+}
+
+async function cancelJob(id) {
+  const running = runningJobs.get(id);
+  if (!running) return getJob(id);
+  
+  const { job, controller } = running;
+  controller.abort();
+  
+  job.status = 'cancelled';
+  job.finishedAt = new Date().toISOString();
+  try {
+    await saveJob(job);
+  } finally {
+    runningJobs.delete(id);
+  }
+  return job;
+}
+
+// With API keys, a job or a session is only visible to the key that created it
+function isOwnedBy(record, client) {
+  return !client || record.owner === client.name;
+}
+
+// Jobs still in memory are the freshest copy (their progress is not written on every chunk)
+async function getJob(id) {
+  const running = runningJobs.get(id);
+  return running ? running.job : jobStore.get(id);
+}
+
+function saveJob(job) {
+  job.expiresAt = new Date(Date.now() + AI_CONFIG.jobs.ttlMs).toISOString();
+  return jobStore.save(job);
+}
+
+// In-process FIFO queue running at most "concurrency" tasks at once
+function createJobQueue(concurrency) {
+  const pending = [];
+  let running = 0;
+  
+  const next = () => {
+    while (running < Math.max(1, concurrency) && pending.length > 0) {
+      const task = pending.shift();
+      running++;
+      Promise.resolve()
+        .then(task)
+        .catch(error => console.error('Job queue task failed:', error))
+        .finally(() => {
+          running--;
+          next();
+        });
+    }
+  };
+  
+  return {
+    push(task) {
+      pending.push(task);
+      next();
+    },
+    get pending() {
+      return pending.length;
+    },
+    get running() {
+      return running;
+    }
+  };
+}
+
+// Creates the store for job records: "memory" (default) or "file" (one JSON file per job
+// in settings.dir, so finished results survive a restart). Records expire after settings.ttlMs
+function createJobStore(settings) {
+  const store = settings.store === 'file'
+    ? createFileJobStore(settings.dir)
+    : createMemoryJobStore();
+  
+  const timer = setInterval(() => {
+    store.purgeExpired().catch(error => console.error('Error purging expired jobs:', error));
+  }, Math.min(settings.ttlMs, 60 * 1000));
+  timer.unref();
+  
+  return store;
+}
+
+// Jobs and sessions carry the time they expire at
+function isRecordExpired(record) {
+  return !!record.expiresAt && new Date(record.expiresAt).getTime() <= Date.now();
+}
+
+function createMemoryJobStore() {
+  const jobs = new Map();
+  
+  return {
+    name: 'memory',
+    
+    async get(id) {
+      const job = jobs.get(id);
+      if (!job || isRecordExpired(job)) return null;
+      return job;
+    },
+    
+    async save(job) {
+      jobs.set(job.id, JSON.parse(JSON.stringify(job)));
+    },
+    
+    async delete(id) {
+      jobs.delete(id);
+    },
+    
+    async purgeExpired() {
+      for (const [id, job] of jobs) {
+        if (isRecordExpired(job)) jobs.delete(id);
+      }
+    }
+  };
+}
+
+function createFileJobStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  
+  // Job IDs come from the URL: never let them escape the directory
+  const fileFor = id => /^[\w-]+$/.test(id) ? path.join(dir, `${id}.json`) : null;
+  
+  const read = async file => {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+  
+  return {
+    name: 'file',
+    
+    async get(id) {
+      const file = fileFor(id);
+      const job = file ? await read(file) : null;
+      if (!job || isRecordExpired(job)) return null;
+      return job;
+    },
+    
+    // Written to a temporary file first so a reader never sees half a record
+    async save(job) {
+      const file = fileFor(job.id);
+      // Each save has its own temporary file, as two saves of the same job can overlap
+      const temp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+      await fs.promises.writeFile(temp, JSON.stringify(job));
+      await fs.promises.rename(temp, file);
+    },
+    
+    async delete(id) {
+      const file = fileFor(id);
+      if (file) {
+        await fs.promises.rm(file, { force: true });
+      }
+    },
+    
+    async purgeExpired() {
+      const entries = await fs.promises.readdir(dir);
+      for (const entry of entries.filter(name => name.endsWith('.json'))) {
+        const job = await read(path.join(dir, entry)).catch(() => null);
+        if (job && isRecordExpired(job)) {
+          await fs.promises.rm(path.join(dir, entry), { force: true });
+        }
+      }
+    }
+  };
+}
+
+// Function to look up an AI-derived value in the result cache, computing it on a miss.
+// The key combines the tree fingerprint with the option, the user input, the AI model and the
+// locale; "extra" tells apart different AI requests of the same option. A computed value is
+// stored only if every AI call it made was answered by the model (never fallback replies)
+// and "shouldCache" accepts it. The outcome is reported in the response as "cache"
+async function cachedAIResult(folderData, { option, userInput = '', extra = null }, compute, shouldCache = () => true) {
+  const context = requestContext.getStore();
+  if (!resultCache) return compute();
+  
+  const key = hashJSON({
+    tree: getTreeFingerprint(folderData),
+    option: option,
+    userInput: userInput || '',
+    extra: extra,
+    provider: aiProvider.name,
+    model: aiProvider.model,
+    locale: getLocale()
+  });
+  
+  const cached = await resultCache.get(key);
+  if (cached !== undefined) {
+    if (context) {
+      context.cache = { hit: !context.cache || context.cache.hit, key };
+    }
+    emitEvent('stage', { stage: 'cache-hit' });
+    return cached;
+  }
+  
+  const callsBefore = context ? context.aiCalls.length : 0;
+  const value = await compute();
+  const calls = context ? context.aiCalls.slice(callsBefore) : [];
+  
+  if (calls.length > 0 && calls.every(call => !call.fallback) && shouldCache(value)) {
+    await resultCache.set(key, value, { option, model: aiProvider.model, locale: getLocale() });
+  }
+  if (context) {
+    context.cache = { hit: false, key };
+  }
+  return value;
+}
+
+const treeFingerprints = new WeakMap();
+
+// Stable fingerprint of a tree: every node's type and path, plus size, mtime and hints for files.
+// Sorted, so the order of the children doesn't matter
+function getTreeFingerprint(folderData) {
+  if (treeFingerprints.has(folderData)) {
+    return treeFingerprints.get(folderData);
+  }
+  
+  const lines = [];
+  const visit = node => {
+    if (node.type === 'file') {
+      const hints = node.hints ? `\t${hashJSON(node.hints)}` : '';
+      lines.push(`f\t${node.path}\t${node.stats.size}\t${new Date(node.stats.mtime).toISOString()}${hints}`);
+    } else {
+      lines.push(`d\t${node.path}`);
+      (node.children || []).forEach(visit);
+    }
+  };
+  visit(folderData);
+  
+  const fingerprint = crypto.createHash('sha256').update(lines.sort().join('\n')).digest('hex');
+  treeFingerprints.set(folderData, fingerprint);
+  return fingerprint;
+}
+
+function hashJSON(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+// Creates the result cache: an LRU of at most settings.maxEntries entries expiring after
+// settings.ttlMs; with store "disk" every entry is also written to settings.dir, so the
+// cache survives a restart and the memory tier is refilled on demand
+function createResultCache(settings) {
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0, evictions: 0 };
+  const disk = settings.store === 'disk' ? createDiskCacheStore(settings.dir) : null;
+  
+  const isExpired = entry => entry.expiresAt <= Date.now();
+  
+  const remember = entry => {
+    entries.delete(entry.key);
+    entries.set(entry.key, entry);
+    
+    // Maps keep insertion order: the first entry is the least recently used
+    while (entries.size > Math.max(1, settings.maxEntries)) {
+      const oldest = entries.keys().next().value;
+      entries.delete(oldest);
+      stats.evictions++;
+      if (disk) {
+        disk.delete(oldest).catch(error => console.error('Error evicting cache entry:', error));
+      }
+    }
+  };
+  
+  return {
+    async get(key) {
+      let entry = entries.get(key);
+      if (!entry && disk) {
+        entry = await disk.read(key);
+      }
+      
+      if (!entry || isExpired(entry)) {
+        if (entry) {
+          entries.delete(key);
+          if (disk) await disk.delete(key);
+        }
+        stats.misses++;
+        return undefined;
+      }
+      
+      entry.hits++;
+      entry.lastAccessAt = new Date().toISOString();
+      remember(entry);
+      stats.hits++;
+      return entry.value;
+    },
+    
+    async set(key, value, meta = {}) {
+      const now = Date.now();
+      const entry = {
+        key: key,
+        ...meta,
+        createdAt: new Date(now).toISOString(),
+        lastAccessAt: new Date(now).toISOString(),
+        expiresAt: now + settings.ttlMs,
+        hits: 0,
+        sizeBytes: Buffer.byteLength(JSON.stringify(value)),
+        value: value
+      };
+      remember(entry);
+      if (disk) {
+        await disk.write(entry);
+      }
+    },
+    
+    // Removes the entries for which "predicate" returns true; returns how many were removed
+    async purge(predicate = () => true) {
+      const all = await this.list();
+      const matching = all.filter(predicate);
+      for (const entry of matching) {
+        entries.delete(entry.key);
+        if (disk) await disk.delete(entry.key);
+      }
+      return matching.length;
+    },
+    
+    // Entries without their values, most recently used first
+    async list() {
+      const all = new Map();
+      if (disk) {
+        (await disk.readAll()).forEach(entry => all.set(entry.key, entry));
+      }
+      entries.forEach(entry => all.set(entry.key, entry));
+      
+      return [...all.values()]
+        .filter(entry => !isExpired(entry))
+        .map(({ value, ...entry }) => ({ ...entry, expiresAt: new Date(entry.expiresAt).toISOString() }))
+        .sort((a, b) => b.lastAccessAt.localeCompare(a.lastAccessAt));
+    },
+    
+    async inspect() {
+      const list = await this.list();
+      return {
+        store: settings.store,
+        ttlMs: settings.ttlMs,
+        maxEntries: settings.maxEntries,
+        entries: list.length,
+        sizeBytes: list.reduce((sum, entry) => sum + entry.sizeBytes, 0),
+        ...stats,
+        items: list
+      };
+    }
+  };
+}
+
+function createDiskCacheStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  
+  // Keys are hex digests, but the admin endpoint passes them in from the URL
+  const fileFor = key => /^[a-f0-9]+$/.test(key) ? path.join(dir, `${key}.json`) : null;
+  
+  const read = async file => {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+  
+  return {
+    async read(key) {
+      const file = fileFor(key);
+      return file ? read(file) : null;
+    },
+    
+    async write(entry) {
+      const file = fileFor(entry.key);
+      // Concurrent writes of the same key each use their own temporary file
+      const temp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+      await fs.promises.writeFile(temp, JSON.stringify(entry));
+      await fs.promises.rename(temp, file);
+    },
+    
+    async delete(key) {
+      const file = fileFor(key);
+      if (file) {
+        await fs.promises.rm(file, { force: true });
+      }
+    },
+    
+    async readAll() {
+      const names = (await fs.promises.readdir(dir)).filter(name => name.endsWith('.json'));
+      const entries = await Promise.all(names.map(name => read(path.join(dir, name)).catch(() => null)));
+      return entries.filter(Boolean);
+    }
+  };
+}
+
+// Function to run one of the /organize options
+async function runOrganizeOption(folderData, option, userInput, options = {}) {
+  switch (option) {
+    case 'categorize':
+      return categorizeFolderContent(folderData, options);
+    case 'rename':
+      return suggestRenaming(folderData, userInput, options);
+    case 'suggest':
+      return suggestOrganization(folderData, options);
+    case 'search':
+      return searchByDescription(folderData, userInput, options);
+    case 'dedupe':
+      return findDuplicates(folderData, options);
+    case 'cleanup':
+      return findCleanupCandidates(folderData, options);
+    case 'timeline':
+      return groupByTimeline(folderData, options);
+    default:
+      throw createHttpError(400, 'Invalid option');
+  }
+}
+
+// Creates an error carrying the HTTP status to respond with
+function createHttpError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+// Function to analyze and categorize folder content
+async function categorizeFolderContent(folderData, options = {}) {
+  // Extract the files from the recursive structure, with each atomic unit (a software project,
+  // an app bundle, a photo library...) as a single item
+  const markerRules = compileMarkerRules(options.markers);
+  const files = extractOrganizableItems(folderData, markerRules);
+  
+  // User-defined rules come first, then the categories of the units; only the remaining
+  // files are categorized by extension
+  const rules = compileCategoryRules(options.rules);
+  const remainingFiles = files.filter(file => !findMatchingRule(file, rules) && !(file.unit && file.unit.categoryKey));
+  const labelRules = [...rules, ...markerRules];
+  
+  // Group files by extension
+  const filesByExtension = {};
+  remainingFiles.forEach(file => {
+    const ext = file.extension || 'no_extension';
+    if (!filesByExtension[ext]) {
+      filesByExtension[ext] = [];
+    }
+    filesByExtension[ext].push(file);
+  });
+  
+  // Determine more meaningful categories using AI or fallback
+  let categories = [];
+  if (remainingFiles.length > 0) {
+    try {
+      // The rules and the markers decide which files reach the prompt
+      categories = await cachedAIResult(
+        folderData,
+        {
+          option: 'categorize',
+          extra: {
+            extensions: Object.keys(filesByExtension).sort(),
+            rules: hashJSON(options.rules || null),
+            markers: hashJSON(options.markers || null)
+          }
+        },
+        () => determineCategoriesWithAI(filesByExtension)
+      );
+    } catch (error) {
+      console.warn('AI categorization failed, using fallback:', error);
+      categories = getFallbackCategories(filesByExtension);
+    }
+  }
+  
+  // Optional file hints refine the categories: Foto, Musica and subcategories such as Fatture
+  const rootPath = folderData.path || folderData.name || '';
+  let filesByKey = applyFileHints(mapFilesToCategories(files, categories, rules), rootPath);
+  
+  const hinted = Object.entries(filesByKey).flatMap(([key, categoryFiles]) => categoryFiles
+    .filter(file => !file.matchedRule && hasDescriptiveHints(file))
+    .map(file => ({ file, label: resolveCategoryLabel(key, categories, labelRules) })));
+  if (hinted.length > 0) {
+    const subcategories = await cachedAIResult(
+      folderData,
+      { option: 'categorize', extra: { subcategories: hinted.map(entry => [entry.file.path, entry.label]) } },
+      () => suggestSubcategoriesWithAI(hinted)
+    );
+    filesByKey = setSubcategories(filesByKey, subcategories);
+  }
+  const filesByCategory = labelCategoryMap(filesByKey, categories, labelRules);
+  
+  const result = {
+    action: 'categorize',
+    categories: categoryExtensionsByLabel(categories),
+    categoryKeys: categoryKeysByLabel(filesByKey, categories, labelRules),
+    filesByCategory: filesByCategory,
+    atomicUnits: describeAtomicUnits(files),
+    plan: buildMovePlan(folderData, assignmentsFromCategories(filesByCategory))
+  };
+  
+  if (rules.length > 0) {
+    const matchesByRule = {};
+    Object.values(filesByCategory).flat().forEach(file => {
+      if (file.matchedRule) {
+        matchesByRule[file.matchedRule] = (matchesByRule[file.matchedRule] || 0) + 1;
+      }
+    });
+    
+    result.rules = rules.map(rule => ({
+      name: rule.name,
+      category: rule.category,
+      priority: rule.priority,
+      matchedFiles: matchesByRule[rule.name] || 0
+    }));
+  }
+  
+  return result;
+}
+
+// Function to validate and compile the user-defined categorization rules.
+// A rule is { name, category, priority, match } or { ..., any: [match, ...] } where a match
+// combines (all must hold): path (glob or list of globs), name (regex), extensions,
+// size { min, max } and modified { after, before }. Higher priority rules are tried first.
+function compileCategoryRules(rules) {
+  if (rules === undefined || rules === null) return [];
+  if (!Array.isArray(rules)) {
+    throw createHttpError(400, 'Invalid categorization rules', [{ pointer: '/options/rules', message: 'expected array' }]);
+  }
+  
+  const errors = [];
+  const compiled = rules.map((rule, index) => {
+    const pointer = `/options/rules/${index}`;
+    
+    if (!rule || typeof rule !== 'object') {
+      errors.push({ pointer, message: 'expected object' });
+      return null;
+    }
+    if (typeof rule.category !== 'string' || !rule.category.trim()) {
+      errors.push({ pointer: `${pointer}/category`, message: 'is required' });
+    }
+    if (rule.priority !== undefined && typeof rule.priority !== 'number') {
+      errors.push({ pointer: `${pointer}/priority`, message: 'expected number' });
+    }
+    
+    let conditions;
+    if (Array.isArray(rule.any)) {
+      conditions = rule.any.map((match, i) => compileRuleMatch(match, `${pointer}/any/${i}`, errors));
+    } else if (rule.match && typeof rule.match === 'object') {
+      conditions = [compileRuleMatch(rule.match, `${pointer}/match`, errors)];
+    } else {
+      errors.push({ pointer, message: 'requires "match" or "any"' });
+      conditions = [];
+    }
+    
+    const category = typeof rule.category === 'string' ? rule.category.trim() : '';
+    return {
+      name: rule.name || `rule-${index + 1}`,
+      category: category,
+      categoryKey: getCategoryKey(category),
+      priority: rule.priority || 0,
+      order: index,
+      conditions: conditions
+    };
+  });
+  
+  if (errors.length > 0) {
+    throw createHttpError(400, 'Invalid categorization rules', errors);
+  }
+  
+  return compiled.sort((a, b) => b.priority - a.priority || a.order - b.order);
+}
+
+function compileRuleMatch(match, pointer, errors) {
+  const condition = {};
+  
+  if (!match || typeof match !== 'object') {
+    errors.push({ pointer, message: 'expected object' });
+    return condition;
+  }
+  
+  if (match.path !== undefined) {
+    const globs = Array.isArray(match.path) ? match.path : [match.path];
+    condition.paths = globs.map(glob => globToRegExp(String(glob)));
+  }
+  
+  if (match.name !== undefined) {
+    try {
+      condition.name = new RegExp(match.name, 'i');
+    } catch (error) {
+      errors.push({ pointer: `${pointer}/name`, message: error.message });
+    }
+  }
+  
+  if (match.extensions !== undefined) {
+    const extensions = Array.isArray(match.extensions) ? match.extensions : [match.extensions];
+    condition.extensions = extensions.map(ext => String(ext).toLowerCase().replace(/^\.?/, '.'));
+  }
+  
+  if (match.size !== undefined) {
+    try {
+      condition.size = {
+        min: match.size.min !== undefined ? parseSizeValue(String(match.size.min)) : null,
+        max: match.size.max !== undefined ? parseSizeValue(String(match.size.max)) : null
+      };
+    } catch (error) {
+      errors.push({ pointer: `${pointer}/size`, message: error.message });
+    }
+  }
+  
+  if (match.modified !== undefined) {
+    try {
+      condition.modified = {
+        after: match.modified.after !== undefined ? parseRuleDate(match.modified.after) : null,
+        before: match.modified.before !== undefined ? parseRuleDate(match.modified.before) : null
+      };
+    } catch (error) {
+      errors.push({ pointer: `${pointer}/modified`, message: error.message });
+    }
+  }
+  
+  const supported = ['path', 'name', 'extensions', 'size', 'modified'];
+  if (!supported.some(key => match[key] !== undefined)) {
+    errors.push({ pointer, message: `has no conditions (supported: ${supported.join(', ')})` });
+  }
+  
+  return condition;
+}
+
+// Dates in rules: "2023", "2023-05", "2023-05-14" or an age such as "30d", "6m", "2y"
+function parseRuleDate(value) {
+  const relative = String(value).match(/^(\d+)(d|w|m|y)$/i);
+  if (relative) {
+    const days = { d: 1, w: 7, m: 30, y: 365 }[relative[2].toLowerCase()] * parseInt(relative[1], 10);
+    return Date.now() - days * 86400000;
+  }
+  return parseDateValue(String(value)).start;
+}
+
+function findMatchingRule(file, rules) {
+  return rules.find(rule => rule.conditions.some(condition => matchesRuleCondition(file, condition))) || null;
+}
+
+function matchesRuleCondition(file, condition) {
+  if (condition.paths) {
+    const filePath = (file.path || file.name).replace(/\\/g, '/');
+    if (!condition.paths.some(regex => regex.test(filePath))) return false;
+  }
+  
+  if (condition.name && !condition.name.test(file.name)) return false;
+  
+  if (condition.extensions && !condition.extensions.includes((file.extension || '').toLowerCase())) return false;
+  
+  if (condition.size) {
+    if (condition.size.min !== null && file.stats.size < condition.size.min) return false;
+    if (condition.size.max !== null && file.stats.size > condition.size.max) return false;
+  }
+  
+  if (condition.modified) {
+    const time = new Date(file.stats.mtime).getTime();
+    if (condition.modified.after !== null && !(time >= condition.modified.after)) return false;
+    if (condition.modified.before !== null && !(time < condition.modified.before)) return false;
+  }
+  
+  return true;
+}
+
+// Fallback function for categorization when AI is not available.
+// Returns a list of { key, label, extensions } like determineCategoriesWithAI
+function getFallbackCategories(filesByExtension) {
+  const categories = {
+    documents: [".pdf", ".doc", ".docx", ".txt", ".rtf", ".md", ".markdown"],
+    images: [".jpg", ".jpeg", ".png", ".gif", ".bmp", ".tiff", ".svg", ".ico"],
+    code: [".js", ".ts", ".jsx", ".tsx", ".py", ".java", ".html", ".css", ".json", ".c", ".cpp", ".h", ".php", ".rb"],
+    data: [".csv", ".xlsx", ".xls", ".db", ".sql", ".xml", ".yml", ".yaml"],
+    archives: [".zip", ".rar", ".7z", ".tar", ".gz"],
+    other: ["no_extension"]
   };
   
   // Try to categorize file extensions not covered by default categories
   const allExtensions = Object.keys(filesByExtension);
   
-  // Try to auto-categorize common extensions
-  allExtensions.forEach(ext => {
-    // Skip already categorized extensions
-    const isAlreadyCategorized = Object.values(categories).some(catExts => catExts.includes(ext));
-    if (isAlreadyCategorized) return;
+  // Try to auto-categorize common extensions
+  allExtensions.forEach(ext => {
+    // Skip already categorized extensions
+    const isAlreadyCategorized = Object.values(categories).some(catExts => catExts.includes(ext));
+    if (isAlreadyCategorized) return;
+    
+    // Simple rules for categorization
+    if (ext.match(/\.(mp4|avi|mov|wmv|mkv|flv)$/i)) {
+      if (!categories.video) categories.video = [];
+      categories.video.push(ext);
+    } else if (ext.match(/\.(mp3|wav|ogg|flac|aac)$/i)) {
+      if (!categories.audio) categories.audio = [];
+      categories.audio.push(ext);
+    } else if (ext.match(/\.(js|ts|py|java|c|cpp|rb|go|rs|php|html|css|jsx|tsx)$/i)) {
+      categories.code.push(ext);
+    } else if (ext.match(/\.(jpg|jpeg|png|gif|bmp|tiff|webp|svg|ico)$/i)) {
+      categories.images.push(ext);
+    } else if (ext.match(/\.(doc|docx|pdf|txt|rtf|md|odt)$/i)) {
+      categories.documents.push(ext);
+    } else {
+      // If can't categorize, add to the "other" bucket
+      categories.other.push(ext);
+    }
+  });
+  
+  return Object.entries(categories).map(([key, extensions]) => ({
+    key: key,
+    label: getCategoryLabel(key),
+    extensions: extensions
+  }));
+}
+
+// Paths listed in collidesWith for each suggestion, collisionCount has the full number
+const MAX_LISTED_COLLISIONS = 10;
+
+// Function to suggest file renaming
+async function suggestRenaming(folderData, pattern, options = {}) {
+  // Atomic units are renamed as a whole: a project folder, not the files inside it
+  const files = extractOrganizableItems(folderData, compileMarkerRules(options.markers));
+  const renamePattern = pattern || '{name}_{counter}';
+  
+  // Pattern grammar: {token[:format][|filter...]}, with {{ and }} for literal braces.
+  // Tokens: name, ext/extension, date, size, counter, parent, match
+  const parts = parseRenamePattern(renamePattern);
+  const hasExtensionToken = parts.some(part => part.token === 'ext' || part.token === 'extension');
+  const usesMatch = parts.some(part => part.token === 'match');
+  
+  let regex = null;
+  if (options.regex) {
+    // With g or y, match() returns every full match (or depends on lastIndex) instead of the groups
+    if (/[gy]/.test(String(options.regexFlags || ''))) {
+      throw createHttpError(400, 'Invalid regex', 'the g and y flags are not supported');
+    }
+    try {
+      regex = new RegExp(options.regex, options.regexFlags || '');
+    } catch (error) {
+      throw createHttpError(400, 'Invalid regex', error.message);
+    }
+  } else if (usesMatch) {
+    throw createHttpError(400, 'The {match} token requires a regex option');
+  }
+  
+  // Counters and collisions are scoped to the folder containing each file
+  const filesByFolder = new Map();
+  files.forEach(file => {
+    const folder = getParentPath(file.path, getPathSeparator(file.path));
+    if (!filesByFolder.has(folder)) {
+      filesByFolder.set(folder, []);
+    }
+    filesByFolder.get(folder).push(file);
+  });
+  
+  // Names of sub-folders stay in place and can collide with the new file names
+  const folderNames = new Map();
+  collectFolderNames(folderData, folderNames);
+  
+  const renameSuggestions = [];
+  
+  for (const [folder, folderFiles] of filesByFolder) {
+    const folderSuggestions = folderFiles.map((file, index) => {
+      const issues = [];
+      const match = regex ? file.name.match(regex) : null;
+      if (regex && !match) {
+        issues.push({ code: 'regex-no-match', severity: 'warning', message: t('rename.regexNoMatch') });
+      }
+      
+      const context = {
+        file: file,
+        counter: index + 1,
+        parent: getPathBaseName(folder),
+        match: match
+      };
+      
+      let newName = parts
+        .map(part => (part.literal !== undefined ? part.literal : renderRenameToken(part, context)))
+        .join('');
+      
+      // Make sure extension is preserved if not specified in pattern
+      if (!hasExtensionToken && file.extension &&
+          !newName.toLowerCase().endsWith(file.extension.toLowerCase())) {
+        newName += file.extension;
+      }
+      
+      // The companions of an Office document are named after it, so it keeps its name
+      const companions = file.unit ? file.unit.companions : [];
+      if (companions.length > 0) {
+        newName = file.name;
+        issues.push({
+          code: 'office-companions',
+          severity: 'warning',
+          message: t('rename.officeCompanions', { companions: companions.map(companion => companion.name).join(', ') })
+        });
+      }
+      
+      issues.push(...checkFileNameValidity(newName));
+      
+      return {
+        originalPath: file.path,
+        originalName: file.name,
+        ...(file.unit ? { unitType: file.unit.type } : {}),
+        suggestedName: newName,
+        folder: folder,
+        changed: newName !== file.name,
+        collision: false,
+        collidesWith: [],
+        collisionCount: 0,
+        issues: issues
+      };
+    });
+    
+    // Flag suggested names that end up identical within the folder (case-insensitive)
+    const byName = new Map();
+    folderSuggestions.forEach(suggestion => {
+      const key = suggestion.suggestedName.toLowerCase();
+      if (!byName.has(key)) {
+        byName.set(key, []);
+      }
+      byName.get(key).push(suggestion);
+    });
+    
+    const existingFolders = folderNames.get(normalizePathKey(folder)) || new Map();
+    byName.forEach((sameName, key) => {
+      const others = sameName.map(suggestion => suggestion.originalPath);
+      // A unit folder that keeps its name is not a collision with itself
+      if (existingFolders.has(key) && !others.includes(existingFolders.get(key))) {
+        others.push(existingFolders.get(key));
+      }
+      if (others.length < 2) return;
+      
+      // Only the first paths are listed, as a pattern without a counter can make every file collide
+      sameName.forEach(suggestion => {
+        suggestion.collision = true;
+        suggestion.collidesWith = others
+          .slice(0, MAX_LISTED_COLLISIONS + 1)
+          .filter(path => path !== suggestion.originalPath)
+          .slice(0, MAX_LISTED_COLLISIONS);
+        suggestion.collisionCount = others.length - 1;
+      });
+    });
+    
+    folderSuggestions.forEach(suggestion => renameSuggestions.push(suggestion));
+  }
+  
+  return {
+    action: 'rename',
+    pattern: renamePattern,
+    regex: regex ? regex.source : null,
+    suggestions: renameSuggestions,
+    atomicUnits: describeAtomicUnits(files),
+    summary: {
+      totalFiles: renameSuggestions.length,
+      changed: renameSuggestions.filter(s => s.changed).length,
+      collisions: renameSuggestions.filter(s => s.collision).length,
+      invalidNames: renameSuggestions.filter(s => s.issues.some(issue => issue.severity === 'error')).length
+    }
+  };
+}
+
+const RENAME_TOKENS = ['name', 'ext', 'extension', 'date', 'size', 'counter', 'parent', 'match'];
+
+const RENAME_FILTERS = {
+  upper: value => value.toUpperCase(),
+  lower: value => value.toLowerCase(),
+  title: value => value.toLowerCase().replace(/(^|[\s_-])(\p{L})/gu, (m, sep, letter) => sep + letter.toUpperCase()),
+  trim: value => value.trim(),
+  ascii: value => removeAccents(value),
+  slug: value => splitWords(value).join('-'),
+  snake: value => splitWords(value).join('_'),
+  kebab: value => splitWords(value).join('-'),
+  camel: value => splitWords(value)
+    .map((word, i) => (i === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join('')
+};
+
+// Parses a rename pattern into literal and token parts
+function parseRenamePattern(pattern) {
+  const parts = [];
+  let literal = '';
+  let i = 0;
+  
+  while (i < pattern.length) {
+    const char = pattern[i];
+    
+    if ((char === '{' || char === '}') && pattern[i + 1] === char) {
+      literal += char;
+      i += 2;
+      continue;
+    }
+    
+    if (char === '}') {
+      throw createHttpError(400, `Invalid rename pattern: unexpected "}" at position ${i}`);
+    }
+    
+    if (char !== '{') {
+      literal += char;
+      i++;
+      continue;
+    }
+    
+    const end = pattern.indexOf('}', i);
+    if (end === -1) {
+      throw createHttpError(400, `Invalid rename pattern: unclosed "{" at position ${i}`);
+    }
+    
+    if (literal) {
+      parts.push({ literal: literal });
+      literal = '';
+    }
+    parts.push(parseRenameToken(pattern.slice(i + 1, end)));
+    i = end + 1;
+  }
+  
+  if (literal) {
+    parts.push({ literal: literal });
+  }
+  
+  return parts;
+}
+
+function parseRenameToken(expression) {
+  const [head, ...filters] = expression.split('|').map(part => part.trim());
+  const separatorIndex = head.indexOf(':');
+  const token = (separatorIndex === -1 ? head : head.slice(0, separatorIndex)).toLowerCase();
+  const format = separatorIndex === -1 ? null : head.slice(separatorIndex + 1);
+  
+  if (!RENAME_TOKENS.includes(token)) {
+    throw createHttpError(400, `Invalid rename pattern: unknown token "{${token}}"`, {
+      supportedTokens: RENAME_TOKENS
+    });
+  }
+  
+  filters.forEach(filter => {
+    if (!RENAME_FILTERS[filter.toLowerCase()]) {
+      throw createHttpError(400, `Invalid rename pattern: unknown filter "${filter}"`, {
+        supportedFilters: Object.keys(RENAME_FILTERS)
+      });
+    }
+  });
+  
+  if (token === 'counter' && format && !/^\d+$/.test(format)) {
+    throw createHttpError(400, `Invalid rename pattern: counter format "${format}" must be a width such as 03`);
+  }
+  
+  if (token === 'match' && format && !/^\w+$/.test(format)) {
+    throw createHttpError(400, `Invalid rename pattern: match group "${format}" must be a number or a group name`);
+  }
+  
+  return { token: token, format: format, filters: filters.map(filter => filter.toLowerCase()) };
+}
+
+function renderRenameToken(part, context) {
+  const { file } = context;
+  let value;
+  
+  switch (part.token) {
+    case 'name':
+      value = stripExtension(file.name);
+      break;
+    case 'ext':
+    case 'extension':
+      value = file.extension || '';
+      break;
+    case 'date':
+      value = formatDate(new Date(file.stats.mtime), part.format || 'YYYY-MM-DD');
+      break;
+    case 'size':
+      value = part.format === 'bytes' ? String(file.stats.size) : formatFileSize(file.stats.size);
+      break;
+    case 'counter':
+      value = part.format
+        ? String(context.counter).padStart(parseInt(part.format, 10), '0')
+        : String(context.counter);
+      break;
+    case 'parent':
+      value = context.parent;
+      break;
+    case 'match': {
+      const group = part.format || '0';
+      const match = context.match;
+      if (!match) {
+        value = '';
+      } else if (/^\d+$/.test(group)) {
+        value = match[parseInt(group, 10)] || '';
+      } else {
+        value = (match.groups && match.groups[group]) || '';
+      }
+      break;
+    }
+  }
+  
+  return part.filters.reduce((result, filter) => RENAME_FILTERS[filter](result), value);
+}
+
+// Formats a date with YYYY, YY, MM, M, DD, D, HH, mm and ss placeholders (UTC)
+function formatDate(date, format) {
+  if (isNaN(date.getTime())) return '';
+  
+  const pad = value => String(value).padStart(2, '0');
+  const values = {
+    YYYY: String(date.getUTCFullYear()),
+    YY: String(date.getUTCFullYear()).slice(-2),
+    MM: pad(date.getUTCMonth() + 1),
+    M: String(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate()),
+    D: String(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds())
+  };
+  
+  return format.replace(/YYYY|YY|MM|M|DD|D|HH|mm|ss/g, placeholder => values[placeholder]);
+}
+
+const WINDOWS_RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+// Checks a file name against the rules of Windows and macOS file systems
+function checkFileNameValidity(fileName) {
+  const issues = [];
+  
+  if (!stripExtension(fileName).trim()) {
+    issues.push({ code: 'empty-name', severity: 'error', message: t('rename.emptyName') });
+  }
+  
+  const windowsInvalid = [...new Set(fileName.match(/[<>:"/\\|?*\x00-\x1f]/g) || [])];
+  if (windowsInvalid.length > 0) {
+    issues.push({
+      code: 'invalid-characters',
+      severity: 'error',
+      platforms: fileName.includes(':') || fileName.includes('/') ? ['windows', 'macos'] : ['windows'],
+      characters: windowsInvalid,
+      message: t('rename.invalidCharacters', { characters: windowsInvalid.map(c => JSON.stringify(c)).join(' ') })
+    });
+  }
+  
+  if (WINDOWS_RESERVED_NAMES.test(fileName)) {
+    issues.push({ code: 'reserved-name', severity: 'error', platforms: ['windows'], message: t('rename.reservedName') });
+  }
+  
+  if (/[. ]$/.test(fileName)) {
+    issues.push({ code: 'trailing-dot-or-space', severity: 'error', platforms: ['windows'], message: t('rename.trailingDotOrSpace') });
+  }
+  
+  if (fileName.startsWith('.')) {
+    issues.push({ code: 'hidden-file', severity: 'warning', platforms: ['macos', 'linux'], message: t('rename.hiddenFile') });
+  }
+  
+  if (Buffer.byteLength(fileName, 'utf8') > 255) {
+    issues.push({ code: 'name-too-long', severity: 'error', message: t('rename.nameTooLong') });
+  }
+  
+  return issues;
+}
+
+// Maps each folder path to the (lowercased) names of its sub-folders
+function collectFolderNames(node, result) {
+  if (node.type === 'file' || !Array.isArray(node.children)) return result;
+  
+  const names = new Map();
+  node.children.forEach(child => {
+    if (child.type !== 'file') {
+      names.set(String(child.name).toLowerCase(), child.path);
+      collectFolderNames(child, result);
+    }
+  });
+  result.set(normalizePathKey(node.path || ''), names);
+  return result;
+}
+
+function getPathBaseName(path) {
+  const segments = path.split(/[\\/]/).filter(Boolean);
+  return segments.length > 0 ? segments[segments.length - 1] : '';
+}
+
+function removeAccents(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Splits a name into lowercase ASCII words on separators and camelCase boundaries
+function splitWords(text) {
+  return removeAccents(text)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+// Function to suggest optimal organization
+async function suggestOrganization(folderData, options = {}) {
+  // Extract statistics and patterns from folder structure
+  const stats = analyzeFolder(folderData);
+  
+  // Atomic units (software projects, bundles, libraries) are described and moved as a whole
+  const markerRules = compileMarkerRules(options.markers);
+  const items = extractOrganizableItems(folderData, markerRules);
+  const units = detectAtomicUnits(folderData, markerRules);
+  
+  const header = `
+    Total files: ${stats.totalFiles}
+    File types present: ${stats.fileTypes.join(', ')}
+    Total size: ${formatFileSize(stats.totalSize)}
+    Largest files: ${stats.largestFiles.map(f => f.name).join(', ')}
+  `;
+  const budget = getPromptBudget(header);
+  
+  // The whole tree is summarized bottom-up: collapsed folders keep their aggregated counts
+  const outline = buildTreeOutline(folderData, budget, units);
+  
+  const ai = await cachedAIResult(folderData, { option: 'suggest', extra: options.markers }, async () => {
+    let structure = outline.text;
+    let chunks = 1;
+    const includedFiles = new Set(outline.includedFiles);
+    
+    // When subfolders had to be collapsed, describe each subtree with the AI first (map)
+    // and build the final prompt from those descriptions (reduce)
+    if (outline.collapsedFolders > 0) {
+      const subtreeSummaries = await summarizeSubtreesWithAI(folderData, budget, units);
+      chunks = subtreeSummaries.chunks + 1;
+      if (subtreeSummaries.summaries.length > 0) {
+        const lines = [outline.text, '', 'Subfolder descriptions:', ...subtreeSummaries.summaries.map(summary => summary.text)];
+        structure = lines.join('\n');
+        
+        // Descriptions cut off by the truncation don't count
+        let described = subtreeSummaries.summaries.length;
+        if (estimateTokens(structure) > budget) {
+          structure = truncateToTokenBudget(structure, budget);
+          described = Math.max(0, countLinesWithin(lines, budget * 4 - 20) - 3);
+        }
+        subtreeSummaries.summaries.slice(0, described).forEach(summary => {
+          summary.files.forEach(file => includedFiles.add(file));
+        });
+      }
+    }
+    
+    // Use the AI provider to generate suggestions based on analysis
+    const prompt = `
+      Analyze this folder structure and suggest the best way to organize it:
+      ${header}
+      Current structure is (folders show file count, size and main extensions):
+      ${structure}
+    
+      Provide 3-5 specific suggestions on how to better organize this folder.
+      Respond in ${t('language')}.
+    `;
+    
+    const messages = [
+      { role: "system", content: "You are an assistant expert in file and folder organization." },
+      { role: "user", content: prompt }
+    ];
+    
+    const reply = await callAI(messages, { onToken: getTokenListener() });
+    
+    // The target tree comes back as folder rules; files are assigned to them locally
+    const folders = reply.fallback ? null : await proposeTargetFoldersWithAI(header, structure, stats.fileTypes);
+    return { suggestions: reply.content, fallback: !!reply.fallback, chunks: chunks, folders: folders, filesConsidered: includedFiles.size };
+  });
+  const suggestions = ai.suggestions;
+  
+  // Every file gets exactly one destination: the best AI folder, or the heuristic one
+  const target = buildTargetStructure(folderData, items, ai.folders, markerRules);
+  
+  const result = {
+    action: 'suggest',
+    folderStats: stats,
+    suggestions: suggestions,
+    suggestedStructure: target.structure,
+    atomicUnits: describeAtomicUnits(items),
+    plan: buildMovePlan(folderData, target.assignments),
+    totalFiles: stats.totalFiles,
+    filesConsidered: ai.filesConsidered,
+    filesListedIndividually: outline.filesListed,
+    chunks: ai.chunks
+  };
+  
+  // Files only counted in a collapsed folder, or cut from the prompt, were not considered
+  if (ai.filesConsidered < stats.totalFiles) {
+    result.note = t('suggest.partial', { considered: ai.filesConsidered, total: stats.totalFiles });
+  }
+  
+  return result;
+}
+
+// Function to search files based on semantic descriptions
+async function searchByDescription(folderData, query = '', options = {}) {
+  const files = extractAllFiles(folderData);
+  
+  // Hard constraints (ext:, size:, modified:, path:, quoted phrases) are applied here;
+  // only the remaining free text goes to the AI or to the local ranker
+  const parsedQuery = parseSearchQuery(query);
+  const candidateIds = files
+    .map((file, index) => index)
+    .filter(index => matchesSearchFilters(files[index], parsedQuery));
+  const candidates = candidateIds.map(index => files[index]);
+  
+  const searchInfo = {
+    parsedQuery: parsedQuery,
+    filteredFiles: candidates.length
+  };
+  
+  if (!parsedQuery.text) {
+    // Only filters: every file that satisfies them is a match, newest first
+    const matches = candidateIds
+      .map(index => ({
+        file: files[index],
+        fileId: index,
+        relevanceScore: 100,
+        reason: t('search.filtersOnly')
+      }))
+      .sort((a, b) => new Date(b.file.stats.mtime) - new Date(a.file.stats.mtime));
+    
+    return buildSearchResponse(query, matches, options, {
+      ...searchInfo,
+      note: parsedQuery.filters.length > 0 ? null : t('search.noKeywords')
+    });
+  }
+  
+  // Use the AI provider to analyze semantic query and find matching files.
+  // Files are referenced by their index so the reply can't point to the wrong file
+  const fileLines = candidateIds.map(index => JSON.stringify({
+    id: index,
+    path: files[index].path,
+    type: files[index].extension,
+    size: files[index].stats.size,
+    modified: new Date(files[index].stats.mtime).toISOString(),
+    hints: describeFileHints(files[index]) || undefined
+  }));
+  
+  const buildPrompt = fileList => `
+    Given these files (one JSON object per line):
+    ${fileList}
+    
+    Find the ones that best match the following description: "${parsedQuery.text}"
+    Provide a relevance score from 0 to 100 and a short reason for each file that might match.
+    Write the reasons in ${t('language')}.
+    
+    Respond only with JSON in this format, referencing files by their "id":
+    { "matches": [ { "id": 0, "score": 85, "reason": "..." } ] }
+  `;
+  
+  // Large trees are split in chunks that fit the context window (map), then the
+  // ranked matches of every chunk are merged (reduce)
+  const chunks = chunkByTokenBudget(fileLines, getPromptBudget(buildPrompt('')));
+  setProgress({ chunksTotal: chunks.length });
+  
+  try {
+    // Only paths, scores and reasons are cached: the fingerprint ignores the order of the
+    // children, so ids and file objects come from the current tree
+    const ranking = await cachedAIResult(folderData, { option: 'search', userInput: query }, async () => {
+      const chunkResults = await mapWithConcurrency(chunks, AI_CONFIG.mapConcurrency, async chunk => {
+        const ids = chunk.map(line => JSON.parse(line).id);
+        const messages = [
+          { role: "system", content: "You are an assistant expert in file analysis and search. You reply only with valid JSON." },
+          { role: "user", content: buildPrompt(chunk.join('\n')) }
+        ];
+        
+        try {
+          const reply = await callAIForJSON(messages, SEARCH_RESPONSE_SCHEMA, {
+            temperature: 0.2,
+            validate: data => validateSearchMatches(data, ids)
+          });
+          advanceProgress({ chunksDone: 1, filesProcessed: ids.length });
+          
+          if (!reply.fallback) {
+            emitEvent('matches', {
+              matches: reply.data.matches
+                .filter(match => match.score > 0)
+                .map(match => ({
+                  file: files[match.id],
+                  fileId: match.id,
+                  relevanceScore: Math.round(match.score),
+                  reason: match.reason
+                }))
+            });
+          }
+          return { reply, ids };
+        } catch (error) {
+          console.error("Error in AI search chunk:", error);
+          return { error, ids };
+        }
+      });
+      
+      const succeeded = chunkResults.filter(result => result.reply && !result.reply.fallback);
+      
+      if (succeeded.length === 0) {
+        const first = chunkResults[0] || {};
+        return {
+          failed: true,
+          aiDisabled: !!(first.reply && first.reply.fallbackReason === 'disabled'),
+          error: (first.reply && first.reply.error) || (first.error && first.error.message) || t('ai.unavailable')
+        };
+      }
+      
+      return {
+        matches: succeeded
+          .flatMap(result => result.reply.data.matches)
+          .filter(match => match.score > 0)
+          .map(match => ({
+            path: files[match.id].path,
+            relevanceScore: Math.round(match.score),
+            reason: match.reason
+          })),
+        filesConsidered: succeeded.reduce((sum, result) => sum + result.ids.length, 0)
+      };
+    }, ranking => !ranking.failed && ranking.filesConsidered === candidates.length);
+    
+    if (ranking.failed) {
+      const local = searchFilesLocally(candidates, parsedQuery.text, candidateIds);
+      
+      if (ranking.aiDisabled) {
+        // Provide the local ranked search as fallback
+        return buildSearchResponse(query, local.matches, options, {
+          ...searchInfo,
+          aiStatus: 'disabled',
+          note: local.note || t('search.localOnly')
+        });
+      }
+      
+      return buildSearchResponse(query, local.matches, options, {
+        ...searchInfo,
+        error: ranking.error,
+        note: local.note || t('search.localAfterError')
+      });
+    }
+    
+    const idsByPath = new Map(files.map((file, index) => [file.path, index]));
+    const matchedFiles = ranking.matches
+      .filter(match => idsByPath.has(match.path))
+      .map(match => ({
+        file: files[idsByPath.get(match.path)],
+        fileId: idsByPath.get(match.path),
+        relevanceScore: match.relevanceScore,
+        reason: match.reason
+      }))
+      .sort((a, b) => b.relevanceScore - a.relevanceScore);
+    
+    const filesConsidered = ranking.filesConsidered;
+    const extra = {
+      ...searchInfo,
+      totalFiles: files.length,
+      filesConsidered: filesConsidered,
+      chunks: chunks.length
+    };
+    
+    if (filesConsidered < candidates.length) {
+      extra.note = t('search.partial', { considered: filesConsidered, total: candidates.length });
+    }
+    
+    return buildSearchResponse(query, matchedFiles, options, extra);
+  } catch (error) {
+    console.error("Error in AI search:", error);
+    // Fallback to the local ranked search
+    const local = searchFilesLocally(candidates, parsedQuery.text, candidateIds);
+    return buildSearchResponse(query, local.matches, options, {
+      ...searchInfo,
+      error: error.message,
+      note: local.note || t('search.localAfterError')
+    });
+  }
+}
+
+// Function to parse the filter syntax of the search option:
+//   ext:pdf  ext:jpg,png  size:>1MB  size:10KB..2MB  modified:2023  modified:2023-05
+//   modified:<30d  modified:>2y  path:Clienti/  "exact phrase"  and "-" to negate any of them.
+// Returns { text, filters } where text is the free text left for the ranker
+function parseSearchQuery(query) {
+  const filters = [];
+  const textParts = [];
+  const errors = [];
+  const tokenPattern = /(-?)(?:(\w+):("[^"]*"|\S+)|"([^"]*)"|(\S+))/g;
+  let match;
+  
+  while ((match = tokenPattern.exec(String(query || ''))) !== null) {
+    const [raw, negation, field, rawValue, phrase, word] = match;
+    const negated = negation === '-';
+    
+    if (phrase !== undefined) {
+      if (phrase.trim()) {
+        filters.push({ field: 'phrase', value: phrase.trim(), negated, raw });
+        if (!negated) textParts.push(phrase.trim());
+      }
+      continue;
+    }
+    
+    const fieldName = field && SEARCH_FILTER_ALIASES[field.toLowerCase()];
+    if (!fieldName) {
+      // Not a filter (e.g. a plain word or "c:"): free text, or an excluded word with "-"
+      const text = word !== undefined ? word : raw.slice(negation.length);
+      if (negated && text) {
+        filters.push({ field: 'phrase', value: text, negated, raw });
+      } else {
+        textParts.push(raw);
+      }
+      continue;
+    }
+    
+    const value = rawValue.replace(/^"|"$/g, '');
+    try {
+      filters.push({ field: fieldName, negated, raw, ...parseSearchFilterValue(fieldName, value) });
+    } catch (error) {
+      errors.push({ token: raw, message: error.message });
+    }
+  }
+  
+  if (errors.length > 0) {
+    throw createHttpError(400, 'Invalid search filter', errors);
+  }
+  
+  return {
+    text: textParts.join(' ').trim(),
+    filters: filters
+  };
+}
+
+const SEARCH_FILTER_ALIASES = {
+  ext: 'ext',
+  extension: 'ext',
+  type: 'ext',
+  size: 'size',
+  modified: 'modified',
+  mtime: 'modified',
+  date: 'modified',
+  path: 'path',
+  in: 'path'
+};
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+
+function parseSearchFilterValue(field, value) {
+  switch (field) {
+    case 'ext': {
+      const extensions = value.split(',').map(ext => ext.trim().toLowerCase().replace(/^\.?/, '.')).filter(ext => ext.length > 1);
+      if (extensions.length === 0) throw new Error('missing extension');
+      return { value: extensions };
+    }
+    case 'path': {
+      if (!value) throw new Error('missing path');
+      return { value: value };
+    }
+    case 'size': {
+      const range = value.match(/^(.+?)\.\.(.+)$/);
+      if (range) {
+        return { operator: 'between', min: parseSizeValue(range[1]), max: parseSizeValue(range[2]) };
+      }
+      const comparison = value.match(/^(>=|<=|>|<|=)?(.+)$/);
+      return { operator: comparison[1] || '=', bytes: parseSizeValue(comparison[2]) };
+    }
+    case 'modified': {
+      const range = value.match(/^(.+?)\.\.(.+)$/);
+      if (range) {
+        const from = parseDateValue(range[1]);
+        const to = parseDateValue(range[2]);
+        return { operator: 'between', from: from.start, to: to.end };
+      }
+      const comparison = value.match(/^(>=|<=|>|<|=)?(.+)$/);
+      const operator = comparison[1] || '=';
+      
+      // Relative ages: "<30d" means modified less than 30 days ago
+      const relative = comparison[2].match(/^(\d+)(d|w|m|y)$/i);
+      if (relative) {
+        const days = { d: 1, w: 7, m: 30, y: 365 }[relative[2].toLowerCase()] * parseInt(relative[1], 10);
+        return { operator, ageDays: days };
+      }
+      
+      const period = parseDateValue(comparison[2]);
+      return { operator, from: period.start, to: period.end };
+    }
+  }
+}
+
+function parseSizeValue(text) {
+  const match = text.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb|k|m|g|t)?$/);
+  if (!match) throw new Error(`invalid size "${text}"`);
+  const unit = match[2] ? (match[2].length === 1 && match[2] !== 'b' ? `${match[2]}b` : match[2]) : 'b';
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[unit]);
+}
+
+// A year, month or day as a [start, end) period in UTC
+function parseDateValue(text) {
+  const match = text.trim().match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+  if (!match) throw new Error(`invalid date "${text}"`);
+  
+  const year = parseInt(match[1], 10);
+  const month = match[2] ? parseInt(match[2], 10) - 1 : null;
+  const day = match[3] ? parseInt(match[3], 10) : null;
+  
+  if (month !== null && (month < 0 || month > 11)) throw new Error(`invalid month in "${text}"`);
+  
+  if (day !== null) {
+    return { start: Date.UTC(year, month, day), end: Date.UTC(year, month, day + 1) };
+  }
+  if (month !== null) {
+    return { start: Date.UTC(year, month, 1), end: Date.UTC(year, month + 1, 1) };
+  }
+  return { start: Date.UTC(year, 0, 1), end: Date.UTC(year + 1, 0, 1) };
+}
+
+function matchesSearchFilters(file, parsedQuery) {
+  return parsedQuery.filters.every(filter => {
+    const result = matchesSearchFilter(file, filter);
+    return filter.negated ? !result : result;
+  });
+}
+
+function matchesSearchFilter(file, filter) {
+  switch (filter.field) {
+    case 'ext':
+      return filter.value.includes((file.extension || '').toLowerCase());
+    case 'path':
+    case 'phrase': {
+      const haystack = removeAccents(file.path || file.name).replace(/\\/g, '/').toLowerCase();
+      return haystack.includes(removeAccents(filter.value).replace(/\\/g, '/').toLowerCase());
+    }
+    case 'size': {
+      const size = file.stats.size;
+      switch (filter.operator) {
+        case 'between': return size >= filter.min && size <= filter.max;
+        case '>': return size > filter.bytes;
+        case '>=': return size >= filter.bytes;
+        case '<': return size < filter.bytes;
+        case '<=': return size <= filter.bytes;
+        default: return size === filter.bytes;
+      }
+    }
+    case 'modified': {
+      const time = new Date(file.stats.mtime).getTime();
+      if (isNaN(time)) return false;
+      
+      if (filter.ageDays !== undefined) {
+        const ageDays = (Date.now() - time) / 86400000;
+        switch (filter.operator) {
+          case '>': case '>=': return ageDays >= filter.ageDays;
+          default: return ageDays <= filter.ageDays;
+        }
+      }
+      
+      switch (filter.operator) {
+        case '>': return time >= filter.to;
+        case '>=': return time >= filter.from;
+        case '<': return time < filter.from;
+        case '<=': return time < filter.to;
+        default: return time >= filter.from && time < filter.to;
+      }
+    }
+    default:
+      return true;
+  }
+}
+
+// Every search response has the same shape, whatever produced the ranking. An unpaginated
+// request (an export) gets every match in a single page
+function buildSearchResponse(query, rankedMatches, options, extra = {}) {
+  const context = requestContext.getStore();
+  const pageSize = context && context.unpaginated
+    ? Math.max(1, rankedMatches.length)
+    : Math.min(200, Math.max(1, parseInt(options.pageSize, 10) || 20));
+  const totalPages = Math.max(1, Math.ceil(rankedMatches.length / pageSize));
+  const page = Math.min(totalPages, Math.max(1, parseInt(options.page, 10) || 1));
+  
+  return {
+    action: 'search',
+    query: query,
+    matches: rankedMatches.slice((page - 1) * pageSize, page * pageSize),
+    total: rankedMatches.length,
+    page: page,
+    pageSize: pageSize,
+    totalPages: totalPages,
+    ...extra
+  };
+}
+
+const SEARCH_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['matches'],
+  properties: {
+    matches: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'score', 'reason'],
+        properties: {
+          id: { type: 'integer', minimum: 0 },
+          score: { type: 'number', minimum: 0, maximum: 100 },
+          reason: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// Every match must reference one of the files sent in the prompt, at most once
+function validateSearchMatches(data, ids) {
+  const errors = [];
+  const allowed = new Set(ids);
+  const seen = new Set();
+  
+  data.matches.forEach((match, index) => {
+    if (!allowed.has(match.id)) {
+      errors.push({ pointer: `/matches/${index}/id`, message: `unknown file id ${match.id}` });
+    } else if (seen.has(match.id)) {
+      errors.push({ pointer: `/matches/${index}/id`, message: `file id ${match.id} listed more than once` });
+    }
+    seen.add(match.id);
+  });
+  
+  return errors;
+}
+
+// Function to search files locally, without AI: BM25 ranking over name, folders and
+// extension, with accent folding, light Italian/English stemming and typo tolerance.
+// Returns the full ranked list; pagination is applied by buildSearchResponse.
+function searchFilesLocally(files, query, fileIds = files.map((_, index) => index)) {
+  let queryTerms = tokenizeForSearch(query || '');
+  const meaningful = queryTerms.filter(term => !SEARCH_STOPWORDS.has(term));
+  if (meaningful.length > 0) {
+    queryTerms = meaningful;
+  }
+  queryTerms = [...new Set(queryTerms.map(stemSearchTerm))];
+  
+  // No useful keywords to search
+  if (queryTerms.length === 0) {
+    return {
+      matches: [],
+      note: t('search.noKeywords')
+    };
+  }
+  
+  const index = buildSearchIndex(files);
+  const { k1, b } = { k1: 1.2, b: 0.75 };
+  
+  // Each query term expands to the indexed terms it matches, with a weight for the kind of match
+  const expansions = queryTerms.map(term => ({ term, matches: expandSearchTerm(term, index) }));
+  
+  const results = [];
+  index.documents.forEach((document, fileId) => {
+    let score = 0;
+    const matchedTerms = [];
+    
+    expansions.forEach(({ term, matches }) => {
+      let best = 0;
+      matches.forEach(({ indexedTerm, weight }) => {
+        const frequency = document.frequencies.get(indexedTerm);
+        if (!frequency) return;
+        
+        const idf = Math.log(1 + (index.documents.length - index.documentFrequency.get(indexedTerm) + 0.5) /
+          (index.documentFrequency.get(indexedTerm) + 0.5));
+        const tf = (frequency * (k1 + 1)) /
+          (frequency + k1 * (1 - b + b * document.length / index.averageLength));
+        best = Math.max(best, weight * idf * tf);
+      });
+      
+      if (best > 0) {
+        score += best;
+        matchedTerms.push(term);
+      }
+    });
+    
+    if (score > 0) {
+      results.push({ fileId, score, matchedTerms });
+    }
+  });
+  
+  const maxScore = results.reduce((max, result) => Math.max(max, result.score), 0);
+  
+  const matches = results
+    .map(result => ({
+      file: files[result.fileId],
+      fileId: fileIds[result.fileId],
+      // Coverage of the query terms weighs more than the raw BM25 score
+      relevanceScore: Math.round(100 * (
+        0.6 * result.matchedTerms.length / queryTerms.length +
+        0.4 * result.score / maxScore
+      )),
+      reason: t('search.matchedTerms', { terms: result.matchedTerms.join(', ') }),
+      matchedTerms: result.matchedTerms
+    }))
+    .sort((a, b) => b.relevanceScore - a.relevanceScore || a.file.path.localeCompare(b.file.path));
+  
+  return {
+    matches: matches,
+    note: matches.length > 0 ? null : t('search.noResults')
+  };
+}
+
+// Indexes every file: the name counts twice as much as the folders in its path
+function buildSearchIndex(files) {
+  const documentFrequency = new Map();
+  let totalLength = 0;
+  
+  const documents = files.map(file => {
+    const frequencies = new Map();
+    const add = (terms, weight) => terms.forEach(term => {
+      frequencies.set(term, (frequencies.get(term) || 0) + weight);
+    });
+    
+    const folders = getParentPath(file.path || '', getPathSeparator(file.path || ''));
+    add(tokenizeForSearch(stripExtension(file.name)).map(stemSearchTerm), 2);
+    add(tokenizeForSearch(folders).map(stemSearchTerm), 1);
+    if (file.extension) {
+      add([file.extension.replace(/^\./, '').toLowerCase()], 1);
+    }
+    
+    frequencies.forEach((_, term) => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    });
+    
+    const length = [...frequencies.values()].reduce((sum, count) => sum + count, 0);
+    totalLength += length;
+    return { frequencies, length };
+  });
+  
+  return {
+    documents,
+    documentFrequency,
+    averageLength: documents.length > 0 ? totalLength / documents.length : 1
+  };
+}
+
+// Exact term (weight 1), indexed terms starting with it (0.8) and terms within a small
+// edit distance (0.6, one typo up to 7 characters, two typos from 8)
+function expandSearchTerm(term, index) {
+  const matches = [];
+  
+  index.documentFrequency.forEach((_, indexedTerm) => {
+    if (indexedTerm === term) {
+      matches.push({ indexedTerm, weight: 1 });
+    } else if (term.length >= 3 && indexedTerm.startsWith(term)) {
+      matches.push({ indexedTerm, weight: 0.8 });
+    } else if (term.length >= 4) {
+      const maxDistance = term.length >= 8 ? 2 : 1;
+      if (Math.abs(indexedTerm.length - term.length) <= maxDistance &&
+          levenshteinDistance(term, indexedTerm) <= maxDistance) {
+        matches.push({ indexedTerm, weight: 0.6 });
+      }
+    }
+  });
+  
+  return matches;
+}
+
+// Splits text into lowercase, accent-free terms on path separators, punctuation,
+// camelCase and letter/digit boundaries ("c++" and "c#" are kept as terms)
+function tokenizeForSearch(text) {
+  return removeAccents(text)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .replace(/([a-zA-Z])(\d)/g, '$1 $2')
+    .replace(/(\d)([a-zA-Z])/g, '$1 $2')
+    .toLowerCase()
+    .match(/[a-z0-9]+[+#]*/g) || [];
+}
+
+const SEARCH_STOPWORDS = new Set([
+  // English
+  'a', 'an', 'and', 'the', 'of', 'in', 'on', 'for', 'to', 'from', 'with', 'by', 'my', 'all', 'file', 'files',
+  // Italian
+  'il', 'lo', 'la', 'i', 'gli', 'le', 'un', 'una', 'uno', 'di', 'da', 'del', 'della', 'dei', 'delle',
+  'e', 'ed', 'con', 'per', 'su', 'tra', 'fra', 'che', 'miei', 'mie', 'tutti', 'tutte'
+]);
+
+// Light stemmer for Italian and English: folds plurals, gender and common suffixes
+// so that "fatture"/"fattura" and "invoices"/"invoice" end up on the same term
+function stemSearchTerm(term) {
+  if (term.length <= 3 || /\d|[+#]/.test(term)) return term;
+  
+  let stem = term;
+  const rules = [
+    [/(azion|izion|uzion)(e|i)$/, '$1'],
+    [/(mente)$/, ''],
+    [/ies$/, 'y'],
+    [/sses$/, 'ss'],
+    [/([^s])s$/, '$1'],
+    [/ing$/, ''],
+    [/ed$/, '']
+  ];
+  
+  for (const [pattern, replacement] of rules) {
+    const candidate = stem.replace(pattern, replacement);
+    if (candidate !== stem && candidate.length >= 3) {
+      stem = candidate;
+      break;
+    }
+  }
+  
+  // Drop the final vowel (Italian gender/number, English silent "e")
+  if (stem.length > 4 && /[aeiouy]$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+  
+  return stem;
+}
+
+// Function to find duplicate and near-duplicate files
+async function findDuplicates(folderData, options = {}) {
+  // An atomic unit is compared as a whole, with a content hash when all its files have one
+  const files = extractOrganizableItems(folderData, compileMarkerRules(options.markers));
+  const groups = [];
+  const grouped = new Set();
+  
+  // Exact duplicates: same size and same client-supplied content hash
+  const filesByContent = {};
+  files.forEach(file => {
+    const hash = getContentHash(file);
+    if (!hash) return;
+    const key = `${file.stats.size}:${hash}`;
+    if (!filesByContent[key]) {
+      filesByContent[key] = [];
+    }
+    filesByContent[key].push(file);
+  });
+  
+  Object.values(filesByContent)
+    .filter(group => group.length > 1)
+    .forEach(group => {
+      const duplicateGroup = buildDuplicateGroup('exact', group, t('dedupe.exact'));
+      duplicateGroup.duplicates.forEach(file => grouped.add(file));
+      groups.push(duplicateGroup);
+    });
+  
+  // Likely duplicates: same extension (or same unit type) and (nearly) the same normalized name.
+  // The kept file of an exact group still takes part, so further copies are found
+  const filesByExtension = {};
+  files.forEach(file => {
+    if (grouped.has(file)) return;
+    const ext = file.unit && file.unit.categoryKey ? `unit:${file.unit.type}` : (file.extension || 'no_extension').toLowerCase();
+    if (!filesByExtension[ext]) {
+      filesByExtension[ext] = [];
+    }
+    filesByExtension[ext].push(file);
+  });
+  
+  let fuzzyTruncated = false;
+  Object.values(filesByExtension).forEach(candidates => {
+    const { clusters, truncated } = clusterSimilarNames(candidates);
+    fuzzyTruncated = fuzzyTruncated || truncated;
+    clusters.forEach(cluster => {
+      const sameSize = cluster.every(file => file.stats.size === cluster[0].stats.size);
+      groups.push(buildDuplicateGroup(
+        'likely',
+        cluster,
+        sameSize
+          ? t('dedupe.likelySameSize')
+          : t('dedupe.likely')
+      ));
+    });
+  });
+  
+  groups.sort((a, b) => b.reclaimableBytes - a.reclaimableBytes);
+  const reclaimableBytes = groups.reduce((sum, group) => sum + group.reclaimableBytes, 0);
+  
+  return {
+    action: 'dedupe',
+    groups: groups,
+    atomicUnits: describeAtomicUnits(files),
+    summary: {
+      exactGroups: groups.filter(g => g.type === 'exact').length,
+      likelyGroups: groups.filter(g => g.type === 'likely').length,
+      duplicateFiles: groups.reduce((sum, group) => sum + group.files.length - 1, 0),
+      reclaimableBytes: reclaimableBytes,
+      reclaimableSize: formatFileSize(reclaimableBytes)
+    },
+    note: fuzzyTruncated ? t('dedupe.fuzzyLimit', { limit: DEDUPE_MAX_COMPARISONS }) : null
+  };
+}
+
+// Returns the optional content hash supplied by the client for a file node
+function getContentHash(file) {
+  const hash = file.hash || file.contentHash || (file.stats && file.stats.hash);
+  return typeof hash === 'string' && hash.trim() ? hash.trim().toLowerCase() : null;
+}
+
+// Builds a duplicate group with the recommended file to keep
+function buildDuplicateGroup(type, files, reason) {
+  const keep = pickFileToKeep(files);
+  const others = files.filter(file => file !== keep);
+  
+  // For likely duplicates only copies with the same size are counted as reclaimable,
+  // since a different size means the content is not guaranteed to be the same
+  const reclaimableBytes = others
+    .filter(file => type === 'exact' || file.stats.size === keep.stats.size)
+    .reduce((sum, file) => sum + file.stats.size, 0);
+  
+  return {
+    type: type,
+    reason: reason,
+    normalizedName: normalizeDuplicateName(keep.name),
+    keep: keep,
+    duplicates: others,
+    files: files,
+    reclaimableBytes: reclaimableBytes,
+    reclaimableSize: formatFileSize(reclaimableBytes)
+  };
+}
+
+// Prefers the file without copy markers, then the oldest one, then the shortest path
+function pickFileToKeep(files) {
+  return files.reduce((best, file) => (compareFilesToKeep(file, best) < 0 ? file : best));
+}
+
+function compareFilesToKeep(a, b) {
+  const aIsCopy = hasCopyMarker(a.name) ? 1 : 0;
+  const bIsCopy = hasCopyMarker(b.name) ? 1 : 0;
+  if (aIsCopy !== bIsCopy) return aIsCopy - bIsCopy;
+  
+  const aTime = new Date(a.stats.mtime).getTime();
+  const bTime = new Date(b.stats.mtime).getTime();
+  if (aTime !== bTime) return aTime - bTime;
+  
+  return a.path.length - b.path.length;
+}
+
+// Suffixes and prefixes added by file managers when copying a file
+const COPY_MARKER_PATTERNS = [
+  /^(copy of|copia di|kopie von)\s+/i,
+  /\s*\(\d+\)$/,
+  /\s*[-_]?\s*(copy|copia|kopie)(\s*\(?\d+\)?)?$/i,
+  /\s*\((copy|copia|kopie)(\s*\d+)?\)$/i
+];
+
+function stripExtension(fileName) {
+  return fileName.replace(/\.[^/.]+$/, "");
+}
+
+function hasCopyMarker(fileName) {
+  const baseName = stripExtension(fileName).trim();
+  return COPY_MARKER_PATTERNS.some(pattern => pattern.test(baseName));
+}
+
+// Normalizes a file name for duplicate detection: no extension, accents, copy markers or separators
+function normalizeDuplicateName(fileName) {
+  let baseName = stripExtension(fileName).trim();
+  
+  // Copy markers can be stacked, e.g. "report (1) - Copy"
+  let previous;
+  do {
+    previous = baseName;
+    COPY_MARKER_PATTERNS.forEach(pattern => {
+      baseName = baseName.replace(pattern, '').trim();
+    });
+  } while (baseName !== previous && baseName);
+  
+  return removeAccents(baseName || stripExtension(fileName))
+    .toLowerCase()
+    .replace(/[\s._-]+/g, ' ')
+    .trim();
+}
+
+// Fuzzy name matching compares at most this many pairs of names per request
+const DEDUPE_MAX_COMPARISONS = 50000;
+
+// Groups files whose normalized names are identical or within the similarity threshold.
+// Each cluster is a star around the name of the file to keep: a name joins it only when it is
+// close to that name, never through a chain of names each one edit from the next.
+// Returns { clusters, truncated }, truncated when the comparison limit stopped fuzzy matching.
+function clusterSimilarNames(files) {
+  const DEDUPE_NAME_SIMILARITY = 0.85;
+  
+  // Identical normalized names are always grouped
+  const filesByName = new Map();
+  files.forEach(file => {
+    const name = normalizeDuplicateName(file.name);
+    if (!filesByName.has(name)) {
+      filesByName.set(name, []);
+    }
+    filesByName.get(name).push(file);
+  });
+  
+  // Names in the order their best file would be kept, so a star is centered on the kept file
+  const entries = [...filesByName.entries()]
+    .map(([name, nameFiles]) => ({
+      name,
+      sequence: name.replace(/\d+/g, '0'),
+      files: nameFiles,
+      best: pickFileToKeep(nameFiles)
+    }))
+    .sort((a, b) => compareFilesToKeep(a.best, b.best));
+  
+  // Fuzzy candidates share the first or the last three characters of their name, and only
+  // pairs within a bucket are compared, smaller buckets first
+  const buckets = new Map();
+  entries.forEach((entry, i) => {
+    if (entry.name.length < 4) return;
+    [`^${entry.name.slice(0, 3)}`, `${entry.name.slice(-3)}$`].forEach(key => {
+      if (!buckets.has(key)) {
+        buckets.set(key, []);
+      }
+      buckets.get(key).push(i);
+    });
+  });
+  
+  const neighbours = entries.map(() => new Set());
+  const compared = new Set();
+  let truncated = false;
+  const sortedBuckets = [...buckets.values()]
+    .filter(bucket => bucket.length > 1)
+    .sort((a, b) => a.length - b.length);
+  
+  compare: for (const bucket of sortedBuckets) {
+    const byLength = [...bucket].sort((a, b) => entries[a].name.length - entries[b].name.length);
+    for (let i = 0; i < byLength.length; i++) {
+      const nameA = entries[byLength[i]].name;
+      
+      for (let j = i + 1; j < byLength.length; j++) {
+        const nameB = entries[byLength[j]].name;
+        if (nameB.length * DEDUPE_NAME_SIMILARITY > nameA.length) break;
+        
+        // A pair sharing both its first and last characters sits in two buckets
+        const pair = Math.min(byLength[i], byLength[j]) * entries.length + Math.max(byLength[i], byLength[j]);
+        if (compared.has(pair)) continue;
+        if (compared.size >= DEDUPE_MAX_COMPARISONS) {
+          truncated = true;
+          break compare;
+        }
+        compared.add(pair);
+        
+        // Names differing only in their numbers are a sequence ("Invoice 2023-01", "Invoice 2023-02")
+        if (entries[byLength[i]].sequence === entries[byLength[j]].sequence) continue;
+        
+        if (nameSimilarity(nameA, nameB) >= DEDUPE_NAME_SIMILARITY) {
+          neighbours[byLength[i]].add(byLength[j]);
+          neighbours[byLength[j]].add(byLength[i]);
+        }
+      }
+    }
+  }
+  
+  // Each name not yet taken becomes a center and takes its free neighbours. Neighbours earlier
+  // in the keep order are already taken, so the center holds the file the group will keep
+  const taken = new Set();
+  const clusters = [];
+  entries.forEach((entry, i) => {
+    if (taken.has(i)) return;
+    taken.add(i);
+    const cluster = [...entry.files];
+    neighbours[i].forEach(j => {
+      if (taken.has(j)) return;
+      taken.add(j);
+      entries[j].files.forEach(file => cluster.push(file));
+    });
+    if (cluster.length > 1) {
+      clusters.push(cluster);
+    }
+  });
+  
+  return { clusters, truncated };
+}
+
+// Default thresholds of the cleanup option, each overridable in the request options
+const CLEANUP_DEFAULTS = {
+  staleMonths: 24,
+  largeFileSize: 500 * 1024 ** 2,
+  chainDepth: 3,
+  explain: false,
+  explainLimit: 100
+};
+
+// Name patterns of temporary and system files
+const JUNK_FILE_PATTERNS = ['~$*', '.~lock.*#', '.DS_Store', '._*', 'Thumbs.db', 'desktop.ini', '*.tmp', '*.temp', '*~'];
+
+// Folders whose whole content can be regenerated. Names as common as "build" or "target" are
+// build output only inside a code project (a folder matching a "projects" marker rule)
+const JUNK_FOLDER_PATTERNS = [
+  { pattern: 'node_modules', reason: 'cleanup.dependencies' },
+  { pattern: 'bower_components', reason: 'cleanup.dependencies' },
+  { pattern: '__pycache__', reason: 'cleanup.cache' },
+  { pattern: '.pytest_cache', reason: 'cleanup.cache' },
+  { pattern: '.cache', reason: 'cleanup.cache' },
+  { pattern: 'dist', reason: 'cleanup.buildOutput', inProject: true },
+  { pattern: 'build', reason: 'cleanup.buildOutput', inProject: true },
+  { pattern: 'target', reason: 'cleanup.buildOutput', inProject: true },
+  { pattern: '.next', reason: 'cleanup.buildOutput' }
+];
+
+// Function to find files and folders worth cleaning up: stale files, large files, temporary
+// and junk files, regenerable folders (dependencies, caches, build output), empty folders and
+// chains of folders with a single subfolder. Each finding has a reason and the bytes deleting it
+// would free; with options.explain the AI says which findings are safe to delete
+async function findCleanupCandidates(folderData, options = {}) {
+  const settings = parseCleanupOptions(options);
+  const aggregates = computeFolderAggregates(folderData);
+  const junkFiles = [...JUNK_FILE_PATTERNS, ...settings.junkPatterns].map(pattern => ({ pattern, regex: globToRegExp(pattern) }));
+  const junkFolders = JUNK_FOLDER_PATTERNS.map(entry => ({ ...entry, regex: globToRegExp(entry.pattern) }));
+  const markerRules = compileMarkerRules(options.markers);
+  
+  const staleBefore = new Date();
+  staleBefore.setUTCMonth(staleBefore.getUTCMonth() - settings.staleMonths);
+  
+  const findings = [];
+  const addFinding = (type, node, reason, reclaimableBytes) => {
+    findings.push({
+      type: type,
+      kind: node.type === 'file' ? 'file' : 'folder',
+      name: node.name,
+      path: node.path,
+      reason: reason,
+      reclaimableBytes: reclaimableBytes,
+      reclaimableSize: formatFileSize(reclaimableBytes)
+    });
+  };
+  
+  const visit = (node, isRoot, inProject) => {
+    if (node.type === 'file') {
+      const junk = junkFiles.find(entry => entry.regex.test(node.name));
+      if (junk) {
+        addFinding('junk', node, t('cleanup.junkFile', { pattern: junk.pattern }), node.stats.size);
+        return;
+      }
+      
+      const modified = new Date(node.stats.mtime);
+      if (modified < staleBefore) {
+        addFinding('stale', node, t('cleanup.stale', {
+          months: settings.staleMonths,
+          date: modified.toISOString().slice(0, 10)
+        }), node.stats.size);
+      }
+      if (node.stats.size > settings.largeFileSize) {
+        addFinding('large', node, t('cleanup.large', { size: formatFileSize(settings.largeFileSize) }), node.stats.size);
+      }
+      return;
+    }
+    
+    const aggregate = aggregates.get(node);
+    if (!isRoot) {
+      // A regenerable folder is reported as a whole, nothing inside it is inspected
+      const junk = junkFolders.find(entry => entry.regex.test(node.name) && (!entry.inProject || inProject));
+      if (junk) {
+        addFinding('junk', node, t(junk.reason), aggregate.size);
+        return;
+      }
+      
+      // Only the outermost folder of an empty subtree is reported
+      if (aggregate.files === 0) {
+        addFinding('empty-folder', node, t('cleanup.emptyFolder'), 0);
+        return;
+      }
+      
+      const chain = getSingleChildChain(node);
+      if (chain.length >= settings.chainDepth) {
+        const deepest = chain[chain.length - 1];
+        addFinding('single-child-chain', node, t('cleanup.chain', { depth: chain.length, target: deepest.path }), 0);
+        findings[findings.length - 1].flattenFrom = deepest.path;
+        visit(deepest, false, false);
+        return;
+      }
+    }
+    
+    if (!Array.isArray(node.children)) return;
+    const unit = matchAtomicUnit(node, markerRules);
+    node.children.forEach(child => visit(child, false, Boolean(unit && unit.categoryKey === 'projects')));
+  };
+  visit(folderData, true, false);
+  
+  findings.sort((a, b) => b.reclaimableBytes - a.reclaimableBytes);
+  
+  const result = {
+    action: 'cleanup',
+    thresholds: {
+      staleMonths: settings.staleMonths,
+      largeFileSize: settings.largeFileSize,
+      chainDepth: settings.chainDepth
+    },
+    findings: findings,
+    summary: summarizeCleanupFindings(findings)
+  };
+  
+  if (settings.explain) {
+    Object.assign(result, await explainCleanupFindings(folderData, findings, settings.explainLimit));
+  }
+  
+  return result;
+}
+
+function parseCleanupOptions(options) {
+  const settings = { ...CLEANUP_DEFAULTS, junkPatterns: [] };
+  const errors = [];
+  
+  ['staleMonths', 'chainDepth', 'explainLimit'].forEach(key => {
+    if (options[key] === undefined) return;
+    if (!Number.isInteger(options[key]) || options[key] < 1) {
+      errors.push({ pointer: `/options/${key}`, message: 'expected positive integer' });
+    } else {
+      settings[key] = options[key];
+    }
+  });
+  
+  // Accepts a number of bytes or a size like "200MB"
+  if (options.largeFileSize !== undefined) {
+    try {
+      settings.largeFileSize = typeof options.largeFileSize === 'number'
+        ? options.largeFileSize
+        : parseSizeValue(String(options.largeFileSize));
+    } catch (error) {
+      errors.push({ pointer: '/options/largeFileSize', message: error.message });
+    }
+  }
+  
+  if (options.junkPatterns !== undefined) {
+    if (!Array.isArray(options.junkPatterns) || options.junkPatterns.some(pattern => typeof pattern !== 'string' || !pattern)) {
+      errors.push({ pointer: '/options/junkPatterns', message: 'expected array of glob patterns' });
+    } else {
+      settings.junkPatterns = options.junkPatterns;
+    }
+  }
+  
+  settings.explain = options.explain === true;
+  
+  if (errors.length > 0) {
+    throw createHttpError(400, 'Invalid cleanup options', errors);
+  }
+  return settings;
+}
+
+// Folders below "node" while each one contains nothing but a single subfolder
+function getSingleChildChain(node) {
+  const chain = [];
+  let current = node;
+  while (current.children && current.children.length === 1 && current.children[0].type !== 'file') {
+    current = current.children[0];
+    chain.push(current);
+  }
+  return chain;
+}
+
+function summarizeCleanupFindings(findings) {
+  const byType = {};
+  findings.forEach(finding => {
+    if (!byType[finding.type]) {
+      byType[finding.type] = { count: 0, reclaimableBytes: 0 };
+    }
+    byType[finding.type].count++;
+    byType[finding.type].reclaimableBytes += finding.reclaimableBytes;
+  });
+  
+  // A file can be both stale and large: its bytes are counted once in the total
+  const bytesByPath = new Map(findings.map(finding => [finding.path, finding.reclaimableBytes]));
+  const reclaimableBytes = [...bytesByPath.values()].reduce((sum, bytes) => sum + bytes, 0);
+  
+  return {
+    findings: findings.length,
+    byType: byType,
+    reclaimableBytes: reclaimableBytes,
+    reclaimableSize: formatFileSize(reclaimableBytes)
+  };
+}
+
+const CLEANUP_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['items'],
+  properties: {
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'safeToDelete', 'explanation'],
+        properties: {
+          id: { type: 'integer', minimum: 0 },
+          safeToDelete: { type: 'boolean' },
+          explanation: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+function validateCleanupItems(data, ids) {
+  const errors = [];
+  const allowed = new Set(ids);
+  const seen = new Set();
+  
+  data.items.forEach((item, index) => {
+    if (!allowed.has(item.id)) {
+      errors.push({ pointer: `/items/${index}/id`, message: `unknown item id ${item.id}` });
+    } else if (seen.has(item.id)) {
+      errors.push({ pointer: `/items/${index}/id`, message: `item id ${item.id} listed more than once` });
+    }
+    seen.add(item.id);
+  });
+  
+  return errors;
+}
+
+// Optional AI pass over the largest deletable findings: each gets "assessment"
+// { safeToDelete, explanation }. Returns the fields to add to the cleanup result
+async function explainCleanupFindings(folderData, findings, limit) {
+  const deletable = findings.filter(finding => finding.type !== 'single-child-chain').slice(0, limit);
+  if (deletable.length === 0) {
+    return { explained: 0 };
+  }
+  
+  const lines = deletable.map((finding, index) => JSON.stringify({
+    id: index,
+    path: finding.path,
+    kind: finding.kind,
+    finding: finding.type,
+    size: finding.reclaimableBytes,
+    reason: finding.reason
+  }));
+  
+  const buildPrompt = list => `
+    These files and folders were flagged by a cleanup analysis (one JSON object per line):
+    ${list}
+    
+    For each item, say whether it is safe to delete and explain why in one sentence.
+    Be conservative: personal documents, photos and source code are not safe to delete
+    just because they are old or large. Write the explanations in ${t('language')}.
+    
+    Respond only with JSON in this format, referencing items by their "id":
+    { "items": [ { "id": 0, "safeToDelete": true, "explanation": "..." } ] }
+  `;
+  
+  const assessments = await cachedAIResult(
+    folderData,
+    { option: 'cleanup', extra: deletable.map(finding => `${finding.type}:${finding.path}`) },
+    async () => {
+      const chunks = chunkByTokenBudget(lines, getPromptBudget(buildPrompt('')));
+      const results = await mapWithConcurrency(chunks, AI_CONFIG.mapConcurrency, async chunk => {
+        const ids = chunk.map(line => JSON.parse(line).id);
+        const messages = [
+          { role: "system", content: "You are an expert in file management and safe disk cleanup. You reply only with valid JSON." },
+          { role: "user", content: buildPrompt(chunk.join('\n')) }
+        ];
+        
+        try {
+          const reply = await callAIForJSON(messages, CLEANUP_RESPONSE_SCHEMA, {
+            temperature: 0.2,
+            validate: data => validateCleanupItems(data, ids)
+          });
+          return reply.fallback ? [] : reply.data.items;
+        } catch (error) {
+          console.error("Error in AI cleanup explanation:", error);
+          return [];
+        }
+      });
+      
+      return results.flat().map(item => ({
+        path: deletable[item.id].path,
+        type: deletable[item.id].type,
+        safeToDelete: item.safeToDelete,
+        explanation: item.explanation
+      }));
+    },
+    items => items.length > 0
+  );
+  
+  assessments.forEach(assessment => {
+    findings
+      .filter(finding => finding.path === assessment.path && finding.type === assessment.type)
+      .forEach(finding => {
+        finding.assessment = { safeToDelete: assessment.safeToDelete, explanation: assessment.explanation };
+      });
+  });
+  
+  return assessments.length > 0
+    ? { explained: assessments.length }
+    : { explained: 0, note: t('cleanup.explainUnavailable') };
+}
+
+// Date buckets of the timeline option, as folders below the root (or below the category)
+const TIMELINE_BUCKETS = ['year', 'month', 'quarter', 'fiscal-year', 'season'];
+
+const TIMELINE_DEFAULTS = {
+  bucket: 'month',
+  fiscalYearStart: 1,
+  withCategory: false
+};
+
+// Dates in file names: "IMG_20230514_101500.jpg", "2023-05-14 scan.pdf", "Report 2023-05.xlsx".
+// The separators of a date must be the same, and digits around it rule it out (timestamps, ids).
+const FILENAME_DATE_PATTERNS = [
+  /(?<!\d)((?:19|20)\d{2})([-_. ]?)(0[1-9]|1[0-2])\2(0[1-9]|[12]\d|3[01])(?!\d)/,
+  /(?<!\d)((?:19|20)\d{2})[-_.](0[1-9]|1[0-2])(?![-_.]?\d)/
+];
+
+// Function to group files into date buckets (options.bucket: year, month, quarter, fiscal-year
+// or season), optionally below their category (options.withCategory, e.g. Immagini/2023/05).
+// Each file is dated by the best source available: the capture date of its hints, a date in its
+// name, the creation date from the client and finally stats.mtime.
+async function groupByTimeline(folderData, options = {}) {
+  const settings = parseTimelineOptions(options);
+  const markerRules = compileMarkerRules(options.markers);
+  const items = extractOrganizableItems(folderData, markerRules);
+  
+  // The category comes from categorize, so the rules, units and hints apply the same way
+  const categoryOf = new Map();
+  if (settings.withCategory) {
+    const categorized = await categorizeFolderContent(folderData, options);
+    Object.entries(categorized.filesByCategory).forEach(([label, files]) => {
+      files.forEach(file => categoryOf.set(file.path, label));
+    });
+  }
+  
+  const buckets = new Map();
+  const dateSources = { capture: 0, filename: 0, created: 0, mtime: 0 };
+  const assignments = [];
+  
+  const files = items.map(item => {
+    const { date, source } = getTimelineDate(item);
+    const period = getTimelinePeriod(date, settings);
+    const category = categoryOf.get(item.path) || null;
+    const folder = category ? [category, ...period.segments] : period.segments;
+    const bucketPath = folder.join('/');
+    
+    if (!buckets.has(bucketPath)) {
+      buckets.set(bucketPath, {
+        path: bucketPath,
+        category: category,
+        period: period.segments.join('/'),
+        order: period.order,
+        files: 0,
+        size: 0,
+        from: date,
+        to: date,
+        dateSources: {}
+      });
+    }
+    const bucket = buckets.get(bucketPath);
+    bucket.files++;
+    bucket.size += item.stats.size;
+    bucket.from = date < bucket.from ? date : bucket.from;
+    bucket.to = date > bucket.to ? date : bucket.to;
+    bucket.dateSources[source] = (bucket.dateSources[source] || 0) + 1;
+    dateSources[source]++;
+    assignments.push({ file: item, folder: folder });
+    
+    return {
+      path: item.path,
+      name: item.name,
+      date: date.toISOString(),
+      dateSource: source,
+      bucket: bucketPath
+    };
+  });
+  
+  // Chronological order, then by category
+  const bucketList = [...buckets.values()]
+    .sort((a, b) => a.order - b.order || (a.category || '').localeCompare(b.category || ''))
+    .map(({ order, ...bucket }) => ({
+      ...bucket,
+      formattedSize: formatFileSize(bucket.size),
+      from: bucket.from.toISOString(),
+      to: bucket.to.toISOString()
+    }));
+  
+  return {
+    action: 'timeline',
+    bucket: settings.bucket,
+    fiscalYearStart: settings.bucket === 'fiscal-year' ? settings.fiscalYearStart : undefined,
+    withCategory: settings.withCategory,
+    buckets: bucketList,
+    files: files,
+    dateSources: dateSources,
+    atomicUnits: describeAtomicUnits(items),
+    plan: buildMovePlan(folderData, assignments)
+  };
+}
+
+function parseTimelineOptions(options) {
+  const settings = { ...TIMELINE_DEFAULTS };
+  const errors = [];
+  
+  if (options.bucket !== undefined) {
+    if (!TIMELINE_BUCKETS.includes(options.bucket)) {
+      errors.push({ pointer: '/options/bucket', message: `must be one of ${TIMELINE_BUCKETS.map(bucket => `"${bucket}"`).join(', ')}` });
+    } else {
+      settings.bucket = options.bucket;
+    }
+  }
+  
+  // Month the fiscal year starts with (1 = January, i.e. the calendar year)
+  if (options.fiscalYearStart !== undefined) {
+    if (!Number.isInteger(options.fiscalYearStart) || options.fiscalYearStart < 1 || options.fiscalYearStart > 12) {
+      errors.push({ pointer: '/options/fiscalYearStart', message: 'expected integer between 1 and 12' });
+    } else {
+      settings.fiscalYearStart = options.fiscalYearStart;
+    }
+  }
+  
+  if (options.withCategory !== undefined && typeof options.withCategory !== 'boolean') {
+    errors.push({ pointer: '/options/withCategory', message: 'expected boolean' });
+  }
+  settings.withCategory = options.withCategory === true;
+  
+  if (errors.length > 0) {
+    throw createHttpError(400, 'Invalid timeline options', errors);
+  }
+  return settings;
+}
+
+// The date of a file and where it comes from ("capture", "filename", "created" or "mtime").
+// A date in the name beats the creation date, which is the copy time for downloaded or copied files.
+function getTimelineDate(file) {
+  const hints = file.hints;
+  if (hints && hints.exif && hints.exif.captureDate !== undefined) {
+    return { date: new Date(hints.exif.captureDate), source: 'capture' };
+  }
+  
+  const nameDate = parseFileNameDate(file.name);
+  if (nameDate) {
+    return { date: nameDate, source: 'filename' };
+  }
+  if (file.stats.birthtime !== undefined) {
+    return { date: new Date(file.stats.birthtime), source: 'created' };
+  }
+  return { date: new Date(file.stats.mtime), source: 'mtime' };
+}
+
+// Function to find a date in a file name (UTC midnight, the 1st for a year and month only).
+// Dates that don't exist or lie in the future are not dates.
+function parseFileNameDate(name) {
+  for (const pattern of FILENAME_DATE_PATTERNS) {
+    const match = stripExtension(name).match(pattern);
+    if (!match) continue;
+    
+    const year = parseInt(match[1], 10);
+    const month = parseInt(pattern === FILENAME_DATE_PATTERNS[0] ? match[3] : match[2], 10);
+    const day = pattern === FILENAME_DATE_PATTERNS[0] ? parseInt(match[4], 10) : 1;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCDate() === day && date.getTime() <= Date.now()) {
+      return date;
+    }
+  }
+  return null;
+}
+
+// Function to place a date in its bucket: "segments" are the folders (e.g. ["2023", "05"]) and
+// "order" sorts the buckets chronologically. Seasons are meteorological, and December belongs to
+// the winter of the following year.
+function getTimelinePeriod(date, settings) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + 1;
+  const pad = value => String(value).padStart(2, '0');
+  
+  switch (settings.bucket) {
+    case 'year':
+      return { segments: [String(year)], order: year * 100 };
+    case 'quarter': {
+      const quarter = Math.ceil(month / 3);
+      return { segments: [String(year), `Q${quarter}`], order: year * 100 + quarter };
+    }
+    case 'fiscal-year': {
+      const start = settings.fiscalYearStart;
+      if (start === 1) {
+        return { segments: [`FY${year}`], order: year * 100 };
+      }
+      const startYear = month >= start ? year : year - 1;
+      return { segments: [`FY${startYear}-${pad((startYear + 1) % 100)}`], order: startYear * 100 };
+    }
+    case 'season': {
+      const seasonYear = month === 12 ? year + 1 : year;
+      const season = Math.floor((month % 12) / 3);
+      const key = ['winter', 'spring', 'summer', 'autumn'][season];
+      return { segments: [String(seasonYear), `${season + 1}-${t(`timeline.season.${key}`)}`], order: seasonYear * 100 + season };
+    }
+    default:
+      return { segments: [String(year), pad(month)], order: year * 100 + month };
+  }
+}
+
+// Minimum score to pair a removed file with an added one as a move or rename
+const MOVE_MATCH_MIN_SCORE = 0.7;
+
+// Function to compare two snapshots of the same folder. Files are matched by their path
+// relative to the root: same path with a different size, mtime or content hash is "modified".
+// Among the remaining removed and added files, pairs with the same size are scored by mtime
+// and name similarity (or matched outright by content hash) and reported as moved/renamed
+// instead of removed + added. Totals are also split by category
+function diffSnapshots(before, after, plan) {
+  const filesBefore = extractAllFiles(before);
+  const filesAfter = extractAllFiles(after);
+  const relativeBefore = new Map(filesBefore.map(file => [file, getRelativePath(file.path, before.path)]));
+  const relativeAfter = new Map(filesAfter.map(file => [file, getRelativePath(file.path, after.path)]));
+  const afterByPath = new Map(filesAfter.map(file => [relativeAfter.get(file), file]));
+  
+  const modified = [];
+  let unchanged = 0;
+  const matchedAfter = new Set();
+  const removedCandidates = [];
+  
+  filesBefore.forEach(file => {
+    const other = afterByPath.get(relativeBefore.get(file));
+    if (!other) {
+      removedCandidates.push(file);
+      return;
+    }
+    
+    matchedAfter.add(other);
+    const changes = describeFileChanges(file, other);
+    if (changes) {
+      modified.push({ path: relativeBefore.get(file), before: file, after: other, changes });
+    } else {
+      unchanged++;
+    }
+  });
+  
+  const addedCandidates = filesAfter.filter(file => !matchedAfter.has(file));
+  const moves = matchMovedFiles(removedCandidates, addedCandidates, relativeBefore, relativeAfter);
+  const movedBefore = new Set(moves.map(move => move.before));
+  const movedAfter = new Set(moves.map(move => move.after));
+  const removed = removedCandidates.filter(file => !movedBefore.has(file));
+  const added = addedCandidates.filter(file => !movedAfter.has(file));
+  
+  const bytes = files => files.reduce((sum, file) => sum + file.stats.size, 0);
+  const result = {
+    action: 'diff',
+    summary: {
+      filesBefore: filesBefore.length,
+      filesAfter: filesAfter.length,
+      added: added.length,
+      removed: removed.length,
+      modified: modified.length,
+      moved: moves.filter(move => move.type === 'moved').length,
+      renamed: moves.filter(move => move.type === 'renamed').length,
+      movedAndRenamed: moves.filter(move => move.type === 'moved-renamed').length,
+      unchanged: unchanged,
+      bytesBefore: bytes(filesBefore),
+      bytesAfter: bytes(filesAfter)
+    },
+    added: added,
+    removed: removed,
+    modified: modified,
+    moved: moves.map(move => ({
+      type: move.type,
+      from: relativeBefore.get(move.before),
+      to: relativeAfter.get(move.after),
+      matchedBy: move.matchedBy,
+      score: move.score,
+      before: move.before,
+      after: move.after
+    })),
+    byCategory: summarizeDiffByCategory(filesBefore, filesAfter, { added, removed, modified, moves })
+  };
+  
+  if (plan) {
+    result.plan = checkPlanApplied(plan, filesAfter);
+  }
+  
+  return result;
+}
+
+// Path below the root, with "/" separators
+function getRelativePath(filePath, rootPath) {
+  const file = filePath.replace(/\\/g, '/');
+  const root = (rootPath || '').replace(/\\/g, '/').replace(/\/+$/, '');
+  return root && file.startsWith(`${root}/`) ? file.slice(root.length + 1) : file.replace(/^\/+/, '');
+}
+
+// Returns { size, mtime, contentHash } for what differs between two versions of a file, or null
+function describeFileChanges(before, after) {
+  const changes = {};
+  if (before.stats.size !== after.stats.size) {
+    changes.size = { before: before.stats.size, after: after.stats.size };
+  }
+  
+  const mtimeBefore = new Date(before.stats.mtime).getTime();
+  const mtimeAfter = new Date(after.stats.mtime).getTime();
+  if (mtimeBefore !== mtimeAfter) {
+    changes.mtime = { before: new Date(mtimeBefore).toISOString(), after: new Date(mtimeAfter).toISOString() };
+  }
+  
+  const hashBefore = getContentHash(before);
+  const hashAfter = getContentHash(after);
+  if (hashBefore && hashAfter && hashBefore !== hashAfter) {
+    changes.contentHash = { before: hashBefore, after: hashAfter };
+  }
+  
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+// Pairs removed and added files that are the same file at a new path. Files of the same size
+// match by content hash when both have one, otherwise they need the same mtime (kept by moves
+// and renames) and a score of 0.6 + 0.4 * name similarity above MOVE_MATCH_MIN_SCORE. Empty
+// files without a hash are never paired. The best-scoring pairs are taken first so each file
+// is used once
+function matchMovedFiles(removed, added, relativeBefore, relativeAfter) {
+  const addedBySize = new Map();
+  added.forEach(file => {
+    if (!addedBySize.has(file.stats.size)) {
+      addedBySize.set(file.stats.size, []);
+    }
+    addedBySize.get(file.stats.size).push(file);
+  });
+  
+  const pairs = [];
+  removed.forEach(before => {
+    (addedBySize.get(before.stats.size) || []).forEach(after => {
+      const hashBefore = getContentHash(before);
+      const hashAfter = getContentHash(after);
+      if (hashBefore && hashAfter) {
+        if (hashBefore === hashAfter) {
+          pairs.push({ before, after, score: 1, matchedBy: 'content-hash' });
+        }
+        return;
+      }
+      
+      const sameMtime = new Date(before.stats.mtime).getTime() === new Date(after.stats.mtime).getTime();
+      if (!sameMtime || before.stats.size === 0) return;
+      
+      const similarity = nameSimilarity(before.name.toLowerCase(), after.name.toLowerCase());
+      const score = Math.round((0.6 + 0.4 * similarity) * 100) / 100;
+      if (score >= MOVE_MATCH_MIN_SCORE) {
+        pairs.push({ before, after, score, matchedBy: 'size-mtime-name' });
+      }
+    });
+  });
+  
+  pairs.sort((a, b) => b.score - a.score);
+  
+  const used = new Set();
+  const moves = [];
+  pairs.forEach(pair => {
+    if (used.has(pair.before) || used.has(pair.after)) return;
+    used.add(pair.before);
+    used.add(pair.after);
+    
+    const folderBefore = getParentPath(relativeBefore.get(pair.before), '/');
+    const folderAfter = getParentPath(relativeAfter.get(pair.after), '/');
+    const renamed = pair.before.name !== pair.after.name;
+    const type = folderBefore === folderAfter ? 'renamed' : (renamed ? 'moved-renamed' : 'moved');
+    moves.push({ ...pair, type });
+  });
+  
+  return moves;
+}
+
+// Counts of each kind of change per category, using the extension categories of the
+// categorize option (the labels follow the locale)
+function summarizeDiffByCategory(filesBefore, filesAfter, changes) {
+  const labelOf = getExtensionCategoryLabels([filesBefore, filesAfter]);
+  
+  const summary = {};
+  const count = (file, field, bytes = 0) => {
+    const label = labelOf.get(file);
+    if (!summary[label]) {
+      summary[label] = { added: 0, removed: 0, modified: 0, moved: 0, bytesAdded: 0, bytesRemoved: 0 };
+    }
+    summary[label][field]++;
+    if (bytes > 0) summary[label].bytesAdded += bytes;
+    if (bytes < 0) summary[label].bytesRemoved -= bytes;
+  };
+  
+  changes.added.forEach(file => count(file, 'added', file.stats.size));
+  changes.removed.forEach(file => count(file, 'removed', -file.stats.size));
+  changes.modified.forEach(change => count(change.after, 'modified', change.after.stats.size - change.before.stats.size));
+  changes.moves.forEach(move => count(move.after, 'moved'));
+  
+  return summary;
+}
+
+// Category label of each file (Map file -> label) from the extension categories, without the AI
+function getExtensionCategoryLabels(fileLists) {
+  const filesByExtension = {};
+  fileLists.flat().forEach(file => {
+    filesByExtension[file.extension || 'no_extension'] = true;
+  });
+  const categories = getFallbackCategories(filesByExtension);
+  
+  const labelOf = new Map();
+  fileLists.forEach(files => {
+    Object.entries(mapFilesToCategories(files, categories)).forEach(([key, categoryFiles]) => {
+      const label = resolveCategoryLabel(key, categories);
+      categoryFiles.forEach(file => labelOf.set(file, label));
+    });
+  });
+  return labelOf;
+}
+
+// Status of each move of a previous plan in the new snapshot: "applied" (file at the target,
+// gone from the source), "pending" (still at the source), "missing" (in neither place) or
+// "conflict" (in both)
+function checkPlanApplied(plan, filesAfter) {
+  const pathsAfter = new Set(filesAfter.map(file => normalizePathKey(file.path)));
+  const moves = (Array.isArray(plan.operations) ? plan.operations : []).filter(operation => operation && operation.op === 'move');
+  
+  const operations = moves.map(move => {
+    const atSource = pathsAfter.has(normalizePathKey(String(move.source)));
+    const atTarget = pathsAfter.has(normalizePathKey(String(move.target)));
+    const status = atTarget ? (atSource ? 'conflict' : 'applied') : (atSource ? 'pending' : 'missing');
+    return { id: move.id, source: move.source, target: move.target, status };
+  });
+  
+  const countStatus = status => operations.filter(operation => operation.status === status).length;
+  return {
+    operations: operations,
+    summary: {
+      moves: operations.length,
+      applied: countStatus('applied'),
+      pending: countStatus('pending'),
+      missing: countStatus('missing'),
+      conflict: countStatus('conflict')
+    },
+    fullyApplied: operations.length > 0 && countStatus('applied') === operations.length
+  };
+}
+
+const EXPORT_FORMATS = {
+  bash: { contentType: 'text/x-shellscript; charset=utf-8', extension: 'sh' },
+  powershell: { contentType: 'text/plain; charset=utf-8', extension: 'ps1' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' }
+};
+
+// Options whose result has file operations a script can perform
+const SCRIPT_OPTIONS = ['categorize', 'suggest', 'rename', 'timeline'];
+
+// Rejects an unknown format, or a script for an option without file operations, before any work
+function validateExportRequest(body, format) {
+  validateOrganizeRequest(body);
+  
+  if (!EXPORT_FORMATS[format]) {
+    throw createHttpError(400, 'Invalid format', [{
+      pointer: '/format',
+      message: `must be one of ${Object.keys(EXPORT_FORMATS).map(name => `"${name}"`).join(', ')}`
+    }]);
+  }
+  if ((format === 'bash' || format === 'powershell') && !SCRIPT_OPTIONS.includes(body.option)) {
+    throw createHttpError(400, `The ${format} format is only available for ${SCRIPT_OPTIONS.join(', ')}`);
+  }
+}
+
+// Function to render an organize result as { contentType, fileName, content }
+function renderExport(folderData, result, format) {
+  let content;
+  switch (format) {
+    case 'bash':
+      content = renderBashScript(folderData, result, getScriptOperations(result));
+      break;
+    case 'powershell':
+      content = renderPowerShellScript(folderData, result, getScriptOperations(result));
+      break;
+    case 'csv':
+      content = renderCSVReport(folderData, result);
+      break;
+    default:
+      content = renderMarkdownReport(folderData, result);
+  }
+  
+  const baseName = (folderData.name || 'organaizer').replace(/[^\w.-]+/g, '_');
+  return {
+    contentType: EXPORT_FORMATS[format].contentType,
+    fileName: `${baseName}-${result.action}.${EXPORT_FORMATS[format].extension}`,
+    content: content
+  };
+}
+
+// mkdir/move operations of the move plan, or rename operations for the rename option.
+// Renames with a collision or an invalid name are left out, like plan conflicts
+function getScriptOperations(result) {
+  if (result.action === 'rename') {
+    return result.suggestions
+      .filter(suggestion => suggestion.changed && !suggestion.collision &&
+        !suggestion.issues.some(issue => issue.severity === 'error'))
+      .map(suggestion => ({ op: 'rename', source: suggestion.originalPath, newName: suggestion.suggestedName }));
+  }
+  return result.plan ? result.plan.operations : [];
+}
+
+function getSkippedOperations(result) {
+  if (result.action === 'rename') {
+    return result.suggestions
+      .filter(suggestion => suggestion.changed && (suggestion.collision ||
+        suggestion.issues.some(issue => issue.severity === 'error')))
+      .map(suggestion => `${suggestion.originalPath} -> ${suggestion.suggestedName}`);
+  }
+  return result.plan ? result.plan.conflicts.map(conflict => `${conflict.source} -> ${conflict.target} (${conflict.type})`) : [];
+}
+
+// Single-quoted for POSIX shells: the only character to escape is the quote itself
+function quoteShell(text) {
+  return `'${String(text).replace(/'/g, `'\\''`)}'`;
+}
+
+// Single-quoted PowerShell string: quotes are doubled
+function quotePowerShell(text) {
+  return `'${String(text).replace(/'/g, "''")}'`;
+}
+
+// Comments can't be closed from inside, but a newline in a file name would end them
+function commentText(text) {
+  return String(text).replace(/[\r\n]+/g, ' ');
+}
+
+function renderBashScript(folderData, result, operations) {
+  const lines = [
+    '#!/usr/bin/env bash',
+    `# OrganAIzer ${result.action} script for ${commentText(folderData.path || folderData.name)}`,
+    '# Dry run by default: only prints the commands. Run with --apply to execute them.',
+    '# Files that no longer exist, and targets that already exist, are skipped.',
+    'set -u',
+    '',
+    'DRY_RUN=1',
+    '[ "${1:-}" = "--apply" ] && DRY_RUN=0',
+    '',
+    'run() {',
+    '  if [ "$DRY_RUN" -eq 1 ]; then',
+    "    printf '[dry-run]'; printf ' %q' \"$@\"; printf '\\n'",
+    '  else',
+    '    "$@"',
+    '  fi',
+    '}',
+    '',
+    'move() {',
+    '  if [ ! -e "$1" ]; then',
+    "    printf 'skip (missing): %s\\n' \"$1\"",
+    '  elif [ -e "$2" ] && [ ! "$1" -ef "$2" ]; then',
+    "    printf 'skip (target exists): %s\\n' \"$2\"",
+    '  else',
+    '    run mv -n -- "$1" "$2"',
+    '  fi',
+    '}',
+    ''
+  ];
+  
+  operations.forEach(operation => {
+    if (operation.op === 'mkdir') {
+      lines.push(`run mkdir -p -- ${quoteShell(operation.path)}`);
+    } else if (operation.op === 'move') {
+      lines.push(`move ${quoteShell(operation.source)} ${quoteShell(operation.target)}`);
+    } else if (operation.op === 'rename') {
+      const separator = getPathSeparator(operation.source);
+      const target = joinPath(separator, getParentPath(operation.source, separator), operation.newName);
+      lines.push(`move ${quoteShell(operation.source)} ${quoteShell(target)}`);
+    }
+  });
+  
+  getSkippedOperations(result).forEach(skipped => lines.push(`# skipped: ${commentText(skipped)}`));
+  return `${lines.join('\n')}\n`;
+}
+
+function renderPowerShellScript(folderData, result, operations) {
+  const lines = [
+    `# OrganAIzer ${result.action} script for ${commentText(folderData.path || folderData.name)}`,
+    '# Dry run by default (-WhatIf). Run with -Apply to execute the commands.',
+    '# Files that no longer exist, and targets that already exist, are skipped.',
+    'param([switch]$Apply)',
+    '',
+    'function Invoke-Move([string]$Source, [string]$Target) {',
+    '  if (-not (Test-Path -LiteralPath $Source)) { Write-Host "skip (missing): $Source"; return }',
+    '  if (Test-Path -LiteralPath $Target) { Write-Host "skip (target exists): $Target"; return }',
+    '  Move-Item -LiteralPath $Source -Destination $Target -WhatIf:(-not $Apply)',
+    '}',
+    '',
+    'function Invoke-Rename([string]$Source, [string]$NewName) {',
+    '  if (-not (Test-Path -LiteralPath $Source)) { Write-Host "skip (missing): $Source"; return }',
+    '  $Target = Join-Path (Split-Path -LiteralPath $Source -Parent) $NewName',
+    '  if ((Test-Path -LiteralPath $Target) -and ($Target -ne $Source) -and ((Split-Path -Leaf $Source) -ine $NewName)) {',
+    '    Write-Host "skip (target exists): $Target"; return',
+    '  }',
+    '  Rename-Item -LiteralPath $Source -NewName $NewName -WhatIf:(-not $Apply)',
+    '}',
+    ''
+  ];
+  
+  operations.forEach(operation => {
+    if (operation.op === 'mkdir') {
+      lines.push(`New-Item -ItemType Directory -Force -Path ${quotePowerShell(operation.path)} -WhatIf:(-not $Apply) | Out-Null`);
+    } else if (operation.op === 'move') {
+      lines.push(`Invoke-Move ${quotePowerShell(operation.source)} ${quotePowerShell(operation.target)}`);
+    } else if (operation.op === 'rename') {
+      lines.push(`Invoke-Rename ${quotePowerShell(operation.source)} ${quotePowerShell(operation.newName)}`);
+    }
+  });
+  
+  getSkippedOperations(result).forEach(skipped => lines.push(`# skipped: ${commentText(skipped)}`));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+const CSV_COLUMNS = ['path', 'name', 'size', 'modified', 'category', 'suggestedName', 'targetPath', 'score', 'duplicate', 'keepPath', 'reason'];
+
+// One row per file of the tree, with what the result says about it
+function renderCSVReport(folderData, result) {
+  const files = extractAllFiles(folderData);
+  const categoryOf = new Map();
+  
+  if (result.action === 'timeline') {
+    result.files.forEach(file => categoryOf.set(file.path, file.bucket));
+  } else if (result.filesByCategory) {
+    Object.entries(result.filesByCategory).forEach(([label, categoryFiles]) => {
+      categoryFiles.forEach(file => categoryOf.set(file.path, file.subcategory ? `${label}/${file.subcategory}` : label));
+    });
+  } else {
+    getExtensionCategoryLabels([files]).forEach((label, file) => categoryOf.set(file.path, label));
+  }
+  
+  const targets = new Map();
+  (result.plan ? result.plan.operations : [])
+    .filter(operation => operation.op === 'move')
+    .forEach(operation => targets.set(operation.source, operation.target));
+  
+  const renames = new Map((result.suggestions && Array.isArray(result.suggestions) ? result.suggestions : [])
+    .map(suggestion => [suggestion.originalPath, suggestion]));
+  const matches = new Map((result.matches || []).map(match => [match.file.path, match]));
+  const findings = new Map();
+  (result.findings || []).forEach(finding => {
+    findings.set(finding.path, [...(findings.get(finding.path) || []), finding.reason]);
+  });
+  
+  // A duplicate atomic unit is a folder: the files inside it take its role ("keep" or "duplicate")
+  const duplicates = new Map();
+  (result.groups || []).forEach(group => {
+    // The kept file of an exact group can be a duplicate in a likely group
+    if (!duplicates.has(group.keep.path)) duplicates.set(group.keep.path, { role: 'keep', group });
+    group.duplicates.forEach(file => duplicates.set(file.path, { role: 'duplicate', group }));
+  });
+  const findDuplicate = path => {
+    const separator = getPathSeparator(path);
+    for (let current = path; current; current = getParentPath(current, separator)) {
+      if (duplicates.has(current)) return duplicates.get(current);
+    }
+    return null;
+  };
+  
+  const rows = files.map(file => {
+    const rename = renames.get(file.path);
+    const match = matches.get(file.path);
+    const duplicate = duplicates.size > 0 ? findDuplicate(file.path) : null;
+    let targetPath = targets.get(file.path) || '';
+    if (rename && rename.changed) {
+      const separator = getPathSeparator(file.path);
+      targetPath = joinPath(separator, getParentPath(file.path, separator), rename.suggestedName);
+    }
+    
+    const reasons = [
+      ...(match ? [match.reason] : []),
+      ...(duplicate ? [duplicate.group.reason] : []),
+      ...(rename ? rename.issues.map(issue => issue.message) : []),
+      ...(findings.get(file.path) || [])
+    ];
+    
+    return [
+      file.path,
+      file.name,
+      file.stats.size,
+      new Date(file.stats.mtime).toISOString(),
+      categoryOf.get(file.path) || '',
+      rename ? rename.suggestedName : file.name,
+      targetPath,
+      match ? match.relevanceScore : '',
+      duplicate ? duplicate.role : '',
+      duplicate ? duplicate.group.keep.path : '',
+      reasons.join('; ')
+    ];
+  });
+  
+  return [CSV_COLUMNS, ...rows].map(row => row.map(escapeCSVField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Quotes fields with separators or quotes, and defuses values a spreadsheet would run as a formula
+function escapeCSVField(value) {
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderMarkdownReport(folderData, result) {
+  const stats = analyzeFolder(folderData);
+  const lines = [
+    `# ${escapeMarkdown(t('export.title', { root: folderData.path || folderData.name }))}`,
+    '',
+    `## ${t('export.stats')}`,
+    '',
+    `- ${t('export.totalFiles')}: ${stats.totalFiles}`,
+    `- ${t('export.totalSize')}: ${formatFileSize(stats.totalSize)}`,
+    `- ${t('export.fileTypes')}: ${stats.fileTypes.map(type => markdownCode(type)).join(', ')}`
+  ];
+  if (stats.oldestFile) {
+    lines.push(`- ${t('export.oldestFile')}: ${markdownCode(stats.oldestFile.path)} (${new Date(stats.oldestFile.stats.mtime).toISOString().slice(0, 10)})`);
+    lines.push(`- ${t('export.newestFile')}: ${markdownCode(stats.newestFile.path)} (${new Date(stats.newestFile.stats.mtime).toISOString().slice(0, 10)})`);
+  }
+  
+  lines.push('', `### ${t('export.largestFiles')}`, '');
+  lines.push(...markdownTable(
+    [t('export.name'), t('export.path'), t('export.size')],
+    stats.largestFiles.map(file => [file.name, markdownCode(file.path), formatFileSize(file.size)])
+  ));
+  
+  lines.push('');
+  renderMarkdownSection(result).forEach(line => lines.push(line));
+  
+  if (result.plan) {
+    const summary = result.plan.summary;
+    lines.push('', `## ${t('export.plan')}`, '', t('export.planSummary', {
+      folders: summary.foldersToCreate,
+      moves: summary.filesToMove,
+      conflicts: summary.conflicts
+    }));
+  }
+  
+  return `${lines.join('\n')}\n`;
+}
+
+// The part of the Markdown report specific to the option
+function renderMarkdownSection(result) {
+  const lines = [];
+  // Rows are pushed one by one, a table can have more rows than a call takes arguments
+  const pushTable = rows => (rows.length > 0 ? rows : [t('export.none')]).forEach(row => lines.push(row));
+  
+  switch (result.action) {
+    case 'categorize':
+      lines.push(`## ${t('export.categories')}`, '');
+      pushTable(markdownTable(
+        [t('export.categories'), t('export.files'), t('export.size')],
+        Object.entries(result.filesByCategory).map(([label, files]) => [
+          label,
+          files.length,
+          formatFileSize(files.reduce((sum, file) => sum + file.stats.size, 0))
+        ])
+      ));
+      break;
+    case 'rename':
+      lines.push(`## ${t('export.renames')}`, '');
+      pushTable(markdownTable(
+        [t('export.path'), t('export.newName')],
+        result.suggestions.filter(suggestion => suggestion.changed)
+          .map(suggestion => [markdownCode(suggestion.originalPath), suggestion.suggestedName])
+      ));
+      break;
+    case 'suggest':
+      lines.push(`## ${t('export.suggestions')}`, '', result.suggestions);
+      if (result.suggestedStructure) {
+        lines.push('', '```', result.suggestedStructure.ascii, '```');
+      }
+      break;
+    case 'search':
+      lines.push(`## ${t('export.searchResults')}`, '');
+      pushTable(markdownTable(
+        [t('export.path'), t('export.score'), t('export.reason')],
+        result.matches.map(match => [markdownCode(match.file.path), match.relevanceScore, match.reason])
+      ));
+      break;
+    case 'dedupe':
+      lines.push(`## ${t('export.duplicates')}`, '');
+      pushTable(markdownTable(
+        [t('export.keep'), t('export.files'), t('export.reclaimable'), t('export.reason')],
+        result.groups.map(group => [
+          markdownCode(group.keep.path),
+          group.files.length,
+          group.reclaimableSize,
+          group.reason
+        ])
+      ));
+      break;
+    case 'cleanup':
+      lines.push(`## ${t('export.cleanup')}`, '');
+      pushTable(markdownTable(
+        [t('export.path'), t('export.reclaimable'), t('export.reason')],
+        result.findings.map(finding => [markdownCode(finding.path), finding.reclaimableSize, finding.reason])
+      ));
+      break;
+    case 'timeline':
+      lines.push(`## ${t('export.timeline')}`, '');
+      pushTable(markdownTable(
+        [t('export.period'), t('export.files'), t('export.size'), t('export.dateSources')],
+        result.buckets.map(bucket => [
+          bucket.path,
+          bucket.files,
+          bucket.formattedSize,
+          Object.entries(bucket.dateSources).map(([source, count]) => `${source}: ${count}`).join(', ')
+        ])
+      ));
+      break;
+  }
+  
+  return lines;
+}
+
+function markdownTable(headers, rows) {
+  if (rows.length === 0) return [];
+  return [
+    `| ${headers.map(escapeMarkdown).join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell => escapeMarkdown(String(cell))).join(' | ')} |`)
+  ];
+}
+
+// Table cells can't contain pipes or line breaks
+function escapeMarkdown(text) {
+  return text.replace(/\|/g, '\\|').replace(/[\r\n]+/g, ' ');
+}
+
+// Function to wrap text in a code span whose fence is longer than any backtick run inside it.
+// Padding keeps a backtick at either end, or a space at both ends, from being eaten by the fence.
+function markdownCode(text) {
+  const value = String(text).replace(/[\r\n]+/g, ' ');
+  const longestRun = Math.max(0, ...(value.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  const padding = /^`|`$/.test(value) || /^ .*[^ ].* $/.test(value) ? ' ' : '';
+  return `${fence}${padding}${value}${padding}${fence}`;
+}
+
+// Converts a category -> files map into move assignments relative to the root
+function assignmentsFromCategories(filesByCategory) {
+  const assignments = [];
+  Object.entries(filesByCategory).forEach(([category, files]) => {
+    files.forEach(file => {
+      assignments.push({ file: file, folder: [category, ...(file.subcategory ? file.subcategory.split('/') : [])] });
+    });
+  });
+  return assignments;
+}
+
+// Function to build an ordered, conflict-checked plan of mkdir/move operations.
+// Each assignment is { file, folder } where folder is a list of segments below the root.
+function buildMovePlan(folderData, assignments) {
+  const rootPath = folderData.path || folderData.name || '';
+  const separator = getPathSeparator(rootPath);
+  
+  // Index every existing node by its normalized path (file systems are often case-insensitive)
+  const existing = new Map();
+  indexTreePaths(folderData, existing);
+  
+  const folderOperations = [];
+  const plannedFolders = new Set();
+  const moves = [];
+  const conflicts = [];
+  const targets = new Map();
+  let unchanged = 0;
+  
+  // Companions of an Office document (owner file, web page folder) move along with it
+  const expanded = assignments.flatMap(assignment => [
+    assignment,
+    ...(assignment.file.unit ? assignment.file.unit.companions : []).map(companion => ({
+      file: { name: companion.name, path: companion.path, stats: { size: companion.size } },
+      folder: assignment.folder
+    }))
+  ]);
+  
+  expanded.forEach(({ file, folder }) => {
+    const segments = folder.filter(Boolean);
+    
+    // Create every missing folder along the way, parents first
+    let folderPath = rootPath;
+    segments.forEach(segment => {
+      folderPath = joinPath(separator, folderPath, segment);
+      const key = normalizePathKey(folderPath);
+      if (existing.has(key) || plannedFolders.has(key)) return;
+      plannedFolders.add(key);
+      folderOperations.push({ op: 'mkdir', path: folderPath });
+    });
+    
+    const target = joinPath(separator, folderPath, file.name);
+    if (target === file.path) {
+      unchanged++;
+      return;
+    }
+    
+    const targetKey = normalizePathKey(target);
+    if (targets.has(targetKey)) {
+      conflicts.push({
+        type: 'duplicate-target',
+        source: file.path,
+        target: target,
+        conflictsWith: targets.get(targetKey).source,
+        suggestedTarget: findFreeTargetPath(target, separator, existing, targets),
+        message: t('plan.duplicateTarget')
+      });
+      return;
+    }
+    
+    const move = { op: 'move', source: file.path, target: target, size: file.stats.size };
+    targets.set(targetKey, move);
+    moves.push(move);
+  });
+  
+  // A target that already exists is only safe if the plan moves that item away first
+  const movesBySource = new Map(moves.map(move => [normalizePathKey(move.source), move]));
+  const blockedMoves = new Set();
+  moves.forEach(move => {
+    const occupant = existing.get(normalizePathKey(move.target));
+    if (!occupant || normalizePathKey(occupant.path) === normalizePathKey(move.source)) return;
+    if (movesBySource.has(normalizePathKey(occupant.path))) return;
+    
+    blockedMoves.add(move);
+    conflicts.push({
+      type: 'target-exists',
+      source: move.source,
+      target: move.target,
+      conflictsWith: occupant.path,
+      suggestedTarget: findFreeTargetPath(move.target, separator, existing, targets),
+      message: t('plan.targetExists')
+    });
+  });
+  
+  const orderedMoves = orderMoves(moves.filter(move => !blockedMoves.has(move)), movesBySource, conflicts);
+  
+  // Only create folders that are actually used by a remaining move
+  const usedFolders = new Set();
+  orderedMoves.forEach(move => {
+    let parent = getParentPath(move.target, separator);
+    while (parent && parent.length > rootPath.length) {
+      usedFolders.add(normalizePathKey(parent));
+      parent = getParentPath(parent, separator);
+    }
+  });
+  const mkdirs = folderOperations.filter(operation => usedFolders.has(normalizePathKey(operation.path)));
+  
+  const operations = [...mkdirs, ...orderedMoves].map((operation, index) => ({ id: index + 1, ...operation }));
+  
+  // Inverse operations: moves back in reverse order, then remove the created folders deepest first
+  const undo = [
+    ...[...orderedMoves].reverse().map(move => ({
+      op: 'move',
+      source: move.target,
+      target: move.source,
+      size: move.size
+    })),
+    ...[...mkdirs].reverse().map(operation => ({ op: 'rmdir', path: operation.path }))
+  ].map((operation, index) => ({ id: index + 1, ...operation }));
+  
+  return {
+    root: rootPath,
+    separator: separator,
+    operations: operations,
+    undo: undo,
+    conflicts: conflicts,
+    summary: {
+      foldersToCreate: mkdirs.length,
+      filesToMove: orderedMoves.length,
+      unchangedFiles: unchanged,
+      conflicts: conflicts.length,
+      bytesToMove: orderedMoves.reduce((sum, move) => sum + (move.size || 0), 0)
+    }
+  };
+}
+
+// Orders moves so that an item occupying a target is moved away before it is overwritten
+function orderMoves(moves, movesBySource, conflicts) {
+  const ordered = [];
+  const state = new Map();
+  const pending = new Set(moves);
+  
+  const visit = move => {
+    if (state.get(move) === 'done') return true;
+    if (state.get(move) === 'visiting') return false;
+    state.set(move, 'visiting');
+    
+    const blocker = movesBySource.get(normalizePathKey(move.target));
+    if (blocker && blocker !== move && pending.has(blocker) && !visit(blocker)) {
+      state.set(move, 'done');
+      conflicts.push({
+        type: 'cycle',
+        source: move.source,
+        target: move.target,
+        conflictsWith: blocker.source,
+        message: t('plan.cycle')
+      });
+      return false;
+    }
+    
+    state.set(move, 'done');
+    ordered.push(move);
+    return true;
+  };
+  
+  moves.forEach(visit);
+  return ordered;
+}
+
+// Finds a free "name (n).ext" variant of a target path
+function findFreeTargetPath(target, separator, existing, targets) {
+  const parent = getParentPath(target, separator);
+  const fileName = target.slice(parent.length + 1);
+  const extMatch = fileName.match(/(\.[^/.]+)$/);
+  const extension = extMatch ? extMatch[1] : '';
+  const baseName = extension ? fileName.slice(0, -extension.length) : fileName;
+  
+  for (let counter = 2; ; counter++) {
+    const candidate = joinPath(separator, parent, `${baseName} (${counter})${extension}`);
+    const key = normalizePathKey(candidate);
+    if (!existing.has(key) && !targets.has(key)) {
+      return candidate;
+    }
+  }
+}
+
+function indexTreePaths(node, index) {
+  if (node.path) {
+    index.set(normalizePathKey(node.path), node);
+  }
+  if (node.type !== 'file' && Array.isArray(node.children)) {
+    node.children.forEach(child => indexTreePaths(child, index));
+  }
+  return index;
+}
+
+// Windows-style roots use backslashes, everything else forward slashes
+function getPathSeparator(path) {
+  return path.includes('\\') && !path.includes('/') ? '\\' : '/';
+}
+
+function joinPath(separator, ...parts) {
+  return parts
+    .filter(part => part !== undefined && part !== null && part !== '')
+    .map((part, index) => {
+      const text = String(part);
+      return index === 0 ? text.replace(/[\\/]+$/, '') : text.replace(/^[\\/]+|[\\/]+$/g, '');
+    })
+    .join(separator);
+}
+
+function getParentPath(path, separator) {
+  const index = path.lastIndexOf(separator);
+  return index > 0 ? path.slice(0, index) : '';
+}
+
+function normalizePathKey(path) {
+  return path.replace(/\\/g, '/').replace(/\/+$/, '').toLowerCase();
+}
+
+// Helper functions
+
+function extractAllFiles(folderData) {
+  return memoizeForRequest('files', folderData, '', () => collectFiles(folderData, []));
+}
+
+function collectFiles(node, results) {
+  if (node.type === 'file') {
+    results.push(node);
+  } else if (node.children && Array.isArray(node.children)) {
+    node.children.forEach(child => {
+      collectFiles(child, results);
+    });
+  }
+  return results;
+}
+
+// Marker rules of atomic units: folders that are moved, renamed and compared as a whole.
+// A rule matches a folder by its own name ("name" globs) or by any of its children ("children"
+// globs); the first matching rule gives the type, so specific project types come before git.
+const ATOMIC_UNIT_MARKERS = [
+  { type: 'node', children: ['package.json'], category: 'projects' },
+  { type: 'maven', children: ['pom.xml'], category: 'projects' },
+  { type: 'gradle', children: ['build.gradle', 'build.gradle.kts', 'settings.gradle'], category: 'projects' },
+  { type: 'xcode', children: ['*.xcodeproj', '*.xcworkspace'], category: 'projects' },
+  { type: 'python', children: ['pyproject.toml', 'setup.py'], category: 'projects' },
+  { type: 'rust', children: ['Cargo.toml'], category: 'projects' },
+  { type: 'go', children: ['go.mod'], category: 'projects' },
+  { type: 'dotnet', children: ['*.sln', '*.csproj'], category: 'projects' },
+  { type: 'php', children: ['composer.json'], category: 'projects' },
+  { type: 'ruby', children: ['Gemfile'], category: 'projects' },
+  { type: 'git', children: ['.git'], category: 'projects' },
+  { type: 'macos-app', name: ['*.app'], category: 'applications' },
+  { type: 'bundle', name: ['*.bundle', '*.framework', '*.plugin', '*.kext'], category: 'applications' },
+  { type: 'photos-library', name: ['*.photoslibrary', '*.aplibrary', '*.migratedphotolibrary'], category: 'photos' },
+  { type: 'document-package', name: ['*.pages', '*.numbers', '*.key', '*.rtfd'], category: 'documents' }
+];
+
+// Office keeps an owner file ("~$port.docx" for "report.docx", LibreOffice ".~lock.report.docx#")
+// next to an open document, and a "report_files" folder next to a document saved as a web page
+const OFFICE_DOCUMENT_PATTERN = /\.(docx?|docm|xlsx?|xlsm|pptx?|pptm|od[tspg]|rtf|html?|mht)$/i;
+
+// Function to validate and compile the marker rules: the user rules (options.markers, same
+// shape as ATOMIC_UNIT_MARKERS, with "category" a label like in the categorization rules)
+// are tried before the built-in ones
+function compileMarkerRules(markers) {
+  if (markers !== undefined && markers !== null && !Array.isArray(markers)) {
+    throw createHttpError(400, 'Invalid marker rules', [{ pointer: '/options/markers', message: 'expected array' }]);
+  }
+  
+  const errors = [];
+  const globList = (value, pointer) => {
+    if (value === undefined) return [];
+    const globs = Array.isArray(value) ? value : [value];
+    if (globs.some(glob => typeof glob !== 'string' || !glob.trim() || /[\\/]/.test(glob))) {
+      errors.push({ pointer, message: 'expected a name glob or a list of name globs' });
+      return [];
+    }
+    return globs.map(glob => globToRegExp(glob.trim()));
+  };
+  
+  const userRules = (markers || []).map((marker, index) => {
+    const pointer = `/options/markers/${index}`;
+    if (!marker || typeof marker !== 'object') {
+      errors.push({ pointer, message: 'expected object' });
+      return null;
+    }
+    if (typeof marker.type !== 'string' || !marker.type.trim()) {
+      errors.push({ pointer: `${pointer}/type`, message: 'is required' });
+    }
+    if (marker.name === undefined && marker.children === undefined) {
+      errors.push({ pointer, message: 'requires "name" or "children"' });
+    }
+    if (marker.category !== undefined && (typeof marker.category !== 'string' || !marker.category.trim())) {
+      errors.push({ pointer: `${pointer}/category`, message: 'expected non-empty string' });
+    }
+    
+    const category = typeof marker.category === 'string' && marker.category.trim() ? marker.category.trim() : getCategoryLabel('projects');
+    return {
+      type: String(marker.type).trim(),
+      name: globList(marker.name, `${pointer}/name`),
+      children: globList(marker.children, `${pointer}/children`),
+      category: category,
+      categoryKey: getCategoryKey(category)
+    };
+  });
+  
+  if (errors.length > 0) {
+    throw createHttpError(400, 'Invalid marker rules', errors);
+  }
+  
+  // Labels of the built-in categories depend on the locale of the request
+  const builtInRules = ATOMIC_UNIT_MARKERS.map(marker => ({
+    type: marker.type,
+    name: (marker.name || []).map(globToRegExp),
+    children: (marker.children || []).map(globToRegExp),
+    category: getCategoryLabel(marker.category),
+    categoryKey: marker.category
+  }));
+  
+  return [...userRules, ...builtInRules];
+}
+
+// Function to find the atomic units of a tree, outermost first: the root itself is never a
+// unit, and whatever is inside a unit belongs to it. Returns a Map folder node -> unit.
+function detectAtomicUnits(folderData, markerRules) {
+  return memoizeForRequest('units', folderData, getMarkerRulesKey(markerRules), () => findAtomicUnits(folderData, markerRules));
+}
+
+function findAtomicUnits(folderData, markerRules) {
+  const units = new Map();
+  
+  const visit = (node, isRoot) => {
+    if (node.type === 'file' || !Array.isArray(node.children)) return;
+    
+    if (!isRoot) {
+      const unit = matchAtomicUnit(node, markerRules);
+      if (unit) {
+        units.set(node, unit);
+        return;
+      }
+    }
+    node.children.forEach(child => visit(child, false));
+  };
+  visit(folderData, true);
+  
+  return units;
+}
+
+// Marker rules compiled from the same options give the same key
+function getMarkerRulesKey(markerRules) {
+  return JSON.stringify(markerRules.map(rule => [rule.type, rule.name.map(String), rule.children.map(String), rule.category]));
+}
+
+function matchAtomicUnit(node, markerRules) {
+  let rule = null;
+  const markers = [];
+  
+  markerRules.forEach(candidate => {
+    const found = [];
+    if (candidate.name.some(regex => regex.test(node.name))) {
+      found.push(node.name);
+    }
+    node.children.forEach(child => {
+      if (candidate.children.some(regex => regex.test(child.name))) found.push(child.name);
+    });
+    if (found.length === 0) return;
+    
+    rule = rule || candidate;
+    found.forEach(marker => {
+      if (!markers.includes(marker)) markers.push(marker);
+    });
+  });
+  
+  if (!rule) return null;
+  return { type: rule.type, markers: markers, category: rule.category, categoryKey: rule.categoryKey, byName: rule.name.some(regex => regex.test(node.name)) };
+}
+
+// Function to list what the organize options work on: the files outside atomic units, plus one
+// item per unit standing for the whole folder, and Office documents carrying their companions.
+// Unit items look like files (name, path, extension, stats) with a "unit" description.
+function extractOrganizableItems(folderData, markerRules) {
+  return memoizeForRequest('items', folderData, getMarkerRulesKey(markerRules), () => collectOrganizableItems(folderData, markerRules));
+}
+
+function collectOrganizableItems(folderData, markerRules) {
+  const units = detectAtomicUnits(folderData, markerRules);
+  const items = [];
+  
+  const visit = node => {
+    if (node.type === 'file') {
+      items.push(node);
+      return;
+    }
+    if (units.has(node)) {
+      items.push(createUnitItem(node, units.get(node)));
+      return;
+    }
+    (node.children || []).forEach(visit);
+  };
+  visit(folderData);
+  
+  return attachOfficeCompanions(items, folderData);
+}
+
+function createUnitItem(node, unit) {
+  const files = extractAllFiles(node);
+  const size = files.reduce((sum, file) => sum + file.stats.size, 0);
+  const latest = files.reduce((max, file) => Math.max(max, new Date(file.stats.mtime).getTime()), 0);
+  const extension = unit.byName && /(\.[^.\s/\\]+)$/.test(node.name) ? node.name.match(/(\.[^.\s/\\]+)$/)[1] : '';
+  
+  // Two copies of a unit are identical when all their files have the same content
+  const hashes = files.map(file => [getRelativePath(file.path, node.path), getContentHash(file)]);
+  const contentHash = files.length > 0 && hashes.every(([, hash]) => hash)
+    ? hashJSON(hashes.sort((a, b) => a[0].localeCompare(b[0])))
+    : undefined;
+  
+  return {
+    type: node.type,
+    name: node.name,
+    path: node.path,
+    extension: extension,
+    stats: { size: size, mtime: new Date(latest || Date.now()).toISOString() },
+    contentHash: contentHash,
+    unit: {
+      type: unit.type,
+      markers: unit.markers,
+      category: unit.category,
+      categoryKey: unit.categoryKey,
+      fileCount: files.length,
+      companions: []
+    }
+  };
+}
+
+// Office owner/lock files and web page folders are bound to their document, which becomes
+// an "office-document" unit; they stop being separate items
+function attachOfficeCompanions(items, folderData) {
+  const companionPaths = new Set();
+  const documentsByFolder = new Map();
+  items.forEach(item => {
+    if (item.unit || !OFFICE_DOCUMENT_PATTERN.test(item.name)) return;
+    const folder = getParentPath(item.path, getPathSeparator(item.path));
+    if (!documentsByFolder.has(folder)) documentsByFolder.set(folder, []);
+    documentsByFolder.get(folder).push(item);
+  });
+  if (documentsByFolder.size === 0) return items;
+  
+  const companionsOf = new Map();
+  const bind = (document, node) => {
+    if (!companionsOf.has(document)) companionsOf.set(document, []);
+    const files = extractAllFiles(node);
+    companionsOf.get(document).push({ name: node.name, path: node.path, size: files.reduce((sum, file) => sum + file.stats.size, 0) });
+    files.forEach(file => companionPaths.add(file.path));
+  };
+  
+  const visit = node => {
+    if (node.type === 'file' || !Array.isArray(node.children)) return;
+    const documents = documentsByFolder.get(node.path) || [];
+    node.children.forEach(child => {
+      const lower = child.name.toLowerCase();
+      const document = documents.find(candidate => {
+        const name = candidate.name.toLowerCase();
+        if (child.type === 'file') {
+          // Word replaces up to the first two characters of the name with "~$"
+          const suffix = lower.slice(2);
+          return lower === `.~lock.${name}#` ||
+            (lower.startsWith('~$') && stripExtension(suffix) !== '' && name.endsWith(suffix) && name.length - suffix.length <= 2);
+        }
+        return /\.(html?|mht)$/.test(name) && (lower === `${stripExtension(name)}_files` || lower === `${stripExtension(name)}.fld`);
+      });
+      if (document) {
+        bind(document, child);
+      } else {
+        visit(child);
+      }
+    });
+  };
+  visit(folderData);
+  if (companionsOf.size === 0) return items;
+  
+  return items
+    .filter(item => !companionPaths.has(item.path))
+    .map(item => {
+      const companions = companionsOf.get(item);
+      if (!companions) return item;
+      return {
+        ...item,
+        unit: {
+          type: 'office-document',
+          markers: companions.map(companion => companion.name),
+          category: null,
+          categoryKey: null,
+          fileCount: 1 + companions.length,
+          companions: companions
+        }
+      };
+    });
+}
+
+// Summary of the atomic units among the items, for the responses
+function describeAtomicUnits(items) {
+  return items
+    .filter(item => item.unit)
+    .map(item => ({
+      path: item.path,
+      type: item.unit.type,
+      markers: item.unit.markers,
+      fileCount: item.unit.fileCount,
+      size: item.unit.companions.reduce((sum, companion) => sum + companion.size, item.stats.size)
+    }));
+}
+
+async function determineCategoriesWithAI(filesByExtension) {
+  const extensions = Object.keys(filesByExtension);
+  
+  // Prepare an input for the AI describing the file types
+  const extensionSummary = Object.entries(filesByExtension).map(([ext, files]) => {
+    return `${ext}: ${files.length} files (examples: ${files.slice(0, 3).map(f => f.name).join(', ')})`;
+  }).join('\n');
+  
+  const prompt = `
+    Given these file types in a folder:
+    
+    ${extensionSummary}
+    
+    Suggest logical categories to organize them, following these rules:
+    1. Group similar extensions (e.g., .jpg, .png under "Images")
+    2. Create 4-7 categories, not more
+    3. Assign each extension to exactly one category, using the extensions exactly as listed above
+    4. Use meaningful category names in ${t('language')}
+    
+    Respond only with JSON in this format:
+    { "categories": [ { "name": "categoryName", "extensions": ["extension1", "extension2"] } ] }
+  `;
+  
+  const messages = [
+    { role: "system", content: "You are an expert in file organization. You reply only with valid JSON." },
+    { role: "user", content: prompt }
+  ];
+  
+  try {
+    const reply = await callAIForJSON(messages, CATEGORIES_RESPONSE_SCHEMA, {
+      temperature: 0.2,
+      validate: data => validateCategoryCoverage(data, extensions)
+    });
+    if (reply.fallback) {
+      return getFallbackCategories(filesByExtension);
+    }
+    
+    // Names chosen by the AI become labels; keys stay stable (e.g. any "Others" is "other")
+    const categories = [];
+    reply.data.categories.forEach(category => {
+      const key = getCategoryKey(category.name);
+      const existing = categories.find(c => c.key === key);
+      if (existing) {
+        existing.extensions.push(...category.extensions);
+      } else {
+        categories.push({ key: key, label: category.name.trim(), extensions: [...category.extensions] });
+      }
+    });
+    return categories;
+  } catch (error) {
+    console.error("Error parsing AI response:", error);
+    // Fallback to simple categories based on common extensions
+    return getFallbackCategories(filesByExtension);
+  }
+}
+
+const CATEGORIES_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['categories'],
+  properties: {
+    categories: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'extensions'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          extensions: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }
+};
+
+// Every extension present in the folder must belong to exactly one category
+function validateCategoryCoverage(data, extensions) {
+  const errors = [];
+  const assigned = new Map();
+  
+  data.categories.forEach((category, categoryIndex) => {
+    category.extensions.forEach((ext, extIndex) => {
+      const pointer = `/categories/${categoryIndex}/extensions/${extIndex}`;
+      if (!extensions.includes(ext)) {
+        errors.push({ pointer, message: `extension "${ext}" is not present in the folder` });
+      } else if (assigned.has(ext)) {
+        errors.push({ pointer, message: `extension "${ext}" is already assigned to "${assigned.get(ext)}"` });
+      } else {
+        assigned.set(ext, category.name);
+      }
+    });
+  });
+  
+  extensions
+    .filter(ext => !assigned.has(ext))
+    .forEach(ext => errors.push({ pointer: '/categories', message: `extension "${ext}" is not assigned to any category` }));
+  
+  return errors;
+}
+
+// Assigns every file to a category key: user rules first, then the extension categories.
+// Files no category claims go to the "other" bucket, which only exists when needed
+function mapFilesToCategories(files, categories, rules = []) {
+  const result = {};
+  
+  // Initialize categories, except the catch-all bucket which is created on demand
+  categories.forEach(category => {
+    if (category.key !== 'other') {
+      result[category.key] = [];
+    }
+  });
+  
+  const addFile = (key, file) => {
+    if (!result[key]) {
+      result[key] = [];
+    }
+    result[key].push(file);
+  };
+  
+  // Map each file to its category
+  files.forEach(file => {
+    // User-defined rules win over the extension categories
+    const rule = findMatchingRule(file, rules);
+    if (rule) {
+      addFile(rule.categoryKey, { ...file, matchedRule: rule.name });
+      return;
+    }
+    
+    // Atomic units go to the category of their marker (Progetti, Applicazioni, Foto...)
+    if (file.unit && file.unit.categoryKey) {
+      addFile(file.unit.categoryKey, rules.length > 0 ? { ...file, matchedRule: null } : file);
+      return;
+    }
+    
+    const ext = file.extension || 'no_extension';
+    
+    // Find which category the extension belongs to
+    const category = categories.find(c => c.extensions.includes(ext));
+    addFile(category ? category.key : 'other', rules.length > 0 ? { ...file, matchedRule: null } : file);
+  });
+  
+  return result;
+}
+
+// Label shown (and used as folder name) for a category key
+function resolveCategoryLabel(key, categories, rules = []) {
+  const category = categories.find(c => c.key === key);
+  if (category) return category.label;
+  
+  const rule = rules.find(r => r.categoryKey === key);
+  return rule ? rule.category : getCategoryLabel(key);
+}
+
+// Re-keys a key -> files map by the localized labels, for the response
+function labelCategoryMap(filesByKey, categories, rules = []) {
+  const result = {};
+  Object.entries(filesByKey).forEach(([key, files]) => {
+    const label = resolveCategoryLabel(key, categories, rules);
+    result[label] = [...(result[label] || []), ...files];
+  });
+  return result;
+}
+
+function categoryExtensionsByLabel(categories) {
+  const result = {};
+  categories.forEach(category => {
+    result[category.label] = [...(result[category.label] || []), ...category.extensions];
+  });
+  return result;
+}
+
+function categoryKeysByLabel(filesByKey, categories, rules = []) {
+  const result = {};
+  Object.keys(filesByKey).forEach(key => {
+    result[resolveCategoryLabel(key, categories, rules)] = key;
+  });
+  return result;
+}
+
+// Shared budget for the text excerpts of one prompt
+function createExcerptBudget() {
+  return { remainingTokens: AI_CONFIG.hints.excerptBudgetTokens };
+}
+
+// Function to describe the optional hints of a file in one line for the prompts. Excerpts are
+// cut to the configured length and, when a budget is given, draw on it until it runs out.
+function describeFileHints(file, budget) {
+  const hints = file.hints;
+  if (!hints) return '';
+  
+  const parts = [];
+  if (hints.mimeType) parts.push(`type ${hints.mimeType}`);
+  if (hints.pageCount !== undefined) parts.push(`${hints.pageCount} pages`);
+  if (hints.exif) {
+    if (hints.exif.captureDate !== undefined) parts.push(`taken ${new Date(hints.exif.captureDate).toISOString().slice(0, 10)}`);
+    if (hints.exif.camera) parts.push(`camera ${hints.exif.camera}`);
+  }
+  if (hints.audio) {
+    ['artist', 'album', 'title', 'genre'].forEach(tag => {
+      if (hints.audio[tag]) parts.push(`${tag} ${hints.audio[tag]}`);
+    });
+  }
+  if (hints.excerpt) {
+    const excerpt = takeExcerpt(hints.excerpt, budget);
+    if (excerpt) parts.push(`text ${JSON.stringify(excerpt)}`);
+  }
+  
+  return parts.join('; ');
+}
+
+function takeExcerpt(text, budget) {
+  const normalized = text.replace(/\s+/g, ' ').trim();
+  let excerpt = normalized.slice(0, AI_CONFIG.hints.excerptChars);
+  if (budget) {
+    excerpt = excerpt.slice(0, Math.max(0, budget.remainingTokens) * 4);
+    budget.remainingTokens -= estimateTokens(excerpt);
+  }
+  if (!excerpt) return '';
+  return excerpt.length < normalized.length ? `${excerpt}…` : excerpt;
+}
+
+// Words of the hints, matched like the words of the path
+function getHintWords(file) {
+  const hints = file.hints;
+  if (!hints) return [];
+  
+  const texts = [
+    hints.exif && hints.exif.camera,
+    ...(hints.audio ? ['artist', 'album', 'title', 'genre'].map(tag => hints.audio[tag]) : []),
+    hints.excerpt && hints.excerpt.slice(0, AI_CONFIG.hints.excerptChars)
+  ];
+  return splitWords(texts.filter(Boolean).join(' '));
+}
+
+// Categories for files whose extension says nothing, from their MIME type
+const MIME_CATEGORY_PATTERNS = [
+  { pattern: /^image\//, key: 'images' },
+  { pattern: /^video\//, key: 'video' },
+  { pattern: /^audio\//, key: 'audio' },
+  { pattern: /^(text\/(plain|markdown|rtf)|application\/(pdf|rtf|msword|vnd\.oasis\.opendocument\.text|vnd\.openxmlformats-officedocument\.wordprocessingml))/, key: 'documents' },
+  { pattern: /^(text\/csv|application\/(json|xml|sql|vnd\.ms-excel|vnd\.oasis\.opendocument\.spreadsheet|vnd\.openxmlformats-officedocument\.spreadsheetml))/, key: 'data' },
+  { pattern: /^application\/(zip|gzip|x-gzip|x-tar|x-7z-compressed|x-rar-compressed|vnd\.rar)/, key: 'archives' }
+];
+
+// Document subcategories recognized from the name and the text excerpt (it/en/de terms)
+const DOCUMENT_SUBCATEGORIES = [
+  { key: 'invoices', terms: ['fattura', 'fatture', 'invoice', 'rechnung', 'partita iva', 'vat number', 'ust idnr', 'amount due', 'totale da pagare'] },
+  { key: 'contracts', terms: ['contratto', 'contract', 'vertrag', 'agreement', 'le parti', 'the parties', 'vertragsparteien'] },
+  { key: 'receipts', terms: ['ricevuta', 'scontrino', 'receipt', 'quittung', 'kassenbon'] },
+  { key: 'statements', terms: ['estratto conto', 'bank statement', 'kontoauszug'] },
+  { key: 'payslips', terms: ['busta paga', 'cedolino', 'payslip', 'pay slip', 'gehaltsabrechnung'] }
+];
+
+// Function to classify a file from its hints, starting from its extension category "key".
+// Returns { key, subcategory } when the hints say more than the extension, otherwise null:
+// camera photos become Foto/<year>-<event>, tagged songs Musica/<artist>, recognized
+// documents Documenti/<Fatture|Contratti|...>.
+function classifyFileByHints(file, key, rootPath) {
+  const hints = file.hints;
+  if (!hints) return null;
+  
+  let hintedKey = key;
+  if (key === 'other' && hints.mimeType) {
+    const match = MIME_CATEGORY_PATTERNS.find(({ pattern }) => pattern.test(hints.mimeType.toLowerCase()));
+    if (match) hintedKey = match.key;
+  }
+  
+  if (hintedKey === 'images' && hints.exif && (hints.exif.captureDate !== undefined || hints.exif.camera)) {
+    // The event is the folder the photos come from, when its name says something
+    const year = hints.exif.captureDate !== undefined ? new Date(hints.exif.captureDate).getUTCFullYear() : getFileYear(file);
+    const event = getProjectFolderName(file.path, rootPath);
+    return { key: 'photos', subcategory: event ? `${year}-${toFolderName(event)}` : String(year) };
+  }
+  
+  if (hintedKey === 'audio' && hints.audio && hints.audio.artist && toFolderName(hints.audio.artist)) {
+    return { key: 'music', subcategory: toFolderName(hints.audio.artist) };
+  }
+  
+  if (hintedKey === 'documents') {
+    const text = ` ${splitWords(`${stripExtension(file.name)} ${hints.excerpt || ''}`).join(' ')}`;
+    const match = DOCUMENT_SUBCATEGORIES.find(subcategory =>
+      subcategory.terms.some(term => text.includes(` ${splitWords(term).join(' ')}`))
+    );
+    if (match) return { key: hintedKey, subcategory: t(`subcategory.${match.key}`) };
+  }
+  
+  return hintedKey !== key ? { key: hintedKey, subcategory: null } : null;
+}
+
+// A folder name made from free text such as an artist tag
+function toFolderName(text) {
+  return String(text).replace(/[<>:"/\\|?*\x00-\x1f]/g, '-').replace(/\s+/g, ' ').trim().slice(0, 100).replace(/[. ]+$/, '');
+}
+
+// Function to refine a key -> files map with the file hints: files may move to a more precise
+// category and get a "subcategory" (a relative folder path). Files matched by a user rule keep it.
+function applyFileHints(filesByKey, rootPath) {
+  const result = {};
+  Object.keys(filesByKey).forEach(key => {
+    result[key] = result[key] || [];
+  });
+  
+  Object.entries(filesByKey).forEach(([key, files]) => {
+    files.forEach(file => {
+      const hinted = file.matchedRule ? null : classifyFileByHints(file, key, rootPath);
+      if (!hinted) {
+        result[key].push(file);
+        return;
+      }
+      result[hinted.key] = result[hinted.key] || [];
+      result[hinted.key].push(hinted.subcategory ? { ...file, subcategory: hinted.subcategory } : file);
+    });
+  });
+  
+  // Like in mapFilesToCategories, the catch-all bucket only exists when it has files
+  if (result.other && result.other.length === 0) {
+    delete result.other;
+  }
+  return result;
+}
+
+// Replaces the subcategories of the files listed in subcategoriesByPath ("" removes it)
+function setSubcategories(filesByKey, subcategoriesByPath) {
+  const result = {};
+  Object.entries(filesByKey).forEach(([key, files]) => {
+    result[key] = files.map(file => {
+      if (subcategoriesByPath[file.path] === undefined) return file;
+      const { subcategory, ...rest } = file;
+      return subcategoriesByPath[file.path] ? { ...rest, subcategory: subcategoriesByPath[file.path] } : rest;
+    });
+  });
+  return result;
+}
+
+// Hints worth showing to the AI to pick a subcategory
+function hasDescriptiveHints(file) {
+  const hints = file.hints;
+  return !!hints && !!(hints.excerpt || hints.exif || (hints.audio && (hints.audio.artist || hints.audio.album)));
+}
+
+// Function to ask the AI for the subcategory of the files with descriptive hints.
+// "entries" are { file, label } with the category label of each file; returns path -> subcategory.
+async function suggestSubcategoriesWithAI(entries) {
+  const describeEntry = (id, budget) => `${id}. ${entries[id].file.name} [${entries[id].label}] ${describeFileHints(entries[id].file, budget)}`;
+  
+  const buildPrompt = fileList => `
+    These files have already been sorted into categories (in brackets), with hints about their content:
+    ${fileList}
     
-    // Simple rules for categorization
-    if (ext.match(/\.(mp4|avi|mov|wmv|mkv|flv)$/i)) {
-      if (!categories["Video"]) categories["Video"] = [];
-      categories["Video"].push(ext);
-    } else if (ext.match(/\.(mp3|wav|ogg|flac|aac)$/i)) {
-      if (!categories["Audio"]) categories["Audio"] = [];
-      categories["Audio"].push(ext);
-    } else if (ext.match(/\.(js|ts|py|java|c|cpp|rb|go|rs|php|html|css|jsx|tsx)$/i)) {
-      categories["Codice"].push(ext);
-    } else if (ext.match(/\.(jpg|jpeg|png|gif|bmp|tiff|webp|svg|ico)$/i)) {
-      categories["Immagini"].push(ext);
-    } else if (ext.match(/\.(doc|docx|pdf|txt|rtf|md|odt)$/i)) {
-      categories["Documenti"].push(ext);
-    } else {
-      // If can't categorize, add to "Altri"
-      categories["Altri"].push(ext);
+    Suggest a semantic subfolder of its category for each file, such as invoices or contracts for documents,
+    an event with its year for photos (e.g. "2024-Holidays") or the artist for music. Use at most 2 levels separated
+    by "/", name them in ${t('language')}, reuse the same names for similar files and use "" when no subfolder fits.
+    
+    Respond only with JSON in this format, referencing files by their number:
+    { "files": [ { "id": 0, "subcategory": "name" } ] }
+  `;
+  
+  // Each chunk is one prompt, so each gets its own excerpt budget
+  const chunks = chunkByTokenBudget(entries.map((_, id) => describeEntry(id)), getPromptBudget(buildPrompt('')));
+  let offset = 0;
+  const chunkIds = chunks.map(chunk => {
+    const ids = chunk.map((_, index) => offset + index);
+    offset += chunk.length;
+    return ids;
+  });
+  
+  const results = await mapWithConcurrency(chunkIds, AI_CONFIG.mapConcurrency, async ids => {
+    const budget = createExcerptBudget();
+    const fileList = ids.map(id => describeEntry(id, budget)).join('\n');
+    const messages = [
+      { role: "system", content: "You are an expert in file organization. You reply only with valid JSON." },
+      { role: "user", content: buildPrompt(fileList) }
+    ];
+    
+    try {
+      const reply = await callAIForJSON(messages, SUBCATEGORIES_RESPONSE_SCHEMA, {
+        temperature: 0.2,
+        validate: data => validateSubcategories(data, ids)
+      });
+      return reply.fallback ? [] : reply.data.files;
+    } catch (error) {
+      console.error("Error in AI subcategories chunk:", error);
+      return [];
     }
   });
   
-  return categories;
+  const subcategoriesByPath = {};
+  results.flat().forEach(item => {
+    subcategoriesByPath[entries[item.id].file.path] = splitTargetPath(item.subcategory).join('/');
+  });
+  return subcategoriesByPath;
 }
 
-// Function to suggest file renaming
-async function suggestRenaming(folderData, pattern) {
+const SUBCATEGORIES_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['files'],
+  properties: {
+    files: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'subcategory'],
+        properties: {
+          id: { type: 'integer' },
+          subcategory: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+function validateSubcategories(data, ids) {
+  const errors = [];
+  const allowed = new Set(ids);
+  
+  data.files.forEach((item, index) => {
+    if (!allowed.has(item.id)) {
+      errors.push({ pointer: `/files/${index}/id`, message: `unknown file id ${item.id}` });
+    }
+    const segments = splitTargetPath(item.subcategory);
+    if (segments.length > 2) {
+      errors.push({ pointer: `/files/${index}/subcategory`, message: 'at most 2 levels are allowed' });
+    }
+    if (segments.some(segment => segment === '.' || segment === '..' || checkFileNameValidity(segment).some(issue => issue.severity === 'error'))) {
+      errors.push({ pointer: `/files/${index}/subcategory`, message: `"${item.subcategory}" is not a valid folder path` });
+    }
+  });
+  
+  return errors;
+}
+
+function analyzeFolder(folderData) {
+  return memoizeForRequest('analysis', folderData, '', () => computeFolderAnalysis(folderData));
+}
+
+function computeFolderAnalysis(folderData) {
   const files = extractAllFiles(folderData);
+  const fileTypes = [...new Set(files.map(f => f.extension || 'no_extension'))];
+  const totalSize = files.reduce((sum, file) => sum + file.stats.size, 0);
   
-  // Analyze pattern provided by user
-  // Supports tokens like {date}, {name}, {type}, {counter}, etc.
-  const renameSuggestions = [];
+  // Find largest files
+  const sortedBySize = [...files].sort((a, b) => b.stats.size - a.stats.size);
+  const largestFiles = sortedBySize.slice(0, 5);
+  
+  return {
+    totalFiles: files.length,
+    fileTypes,
+    totalSize,
+    largestFiles: largestFiles.map(f => ({
+      name: f.name,
+      path: f.path,
+      size: f.stats.size
+    })),
+    oldestFile: files.length > 0 ? 
+      files.reduce((oldest, file) => 
+        file.stats.mtime < oldest.stats.mtime ? file : oldest
+      ) : null,
+    newestFile: files.length > 0 ?
+      files.reduce((newest, file) => 
+        file.stats.mtime > newest.stats.mtime ? file : newest
+      ) : null
+  };
+}
+
+// Aggregated stats of every folder, computed bottom-up
+function computeFolderAggregates(node, aggregates = new Map()) {
+  const aggregate = { files: 0, folders: 0, size: 0, extensions: {} };
+  
+  (node.children || []).forEach(child => {
+    if (child.type === 'file') {
+      const ext = child.extension || 'no_extension';
+      aggregate.files++;
+      aggregate.size += child.stats.size;
+      aggregate.extensions[ext] = (aggregate.extensions[ext] || 0) + 1;
+    } else {
+      const childAggregate = computeFolderAggregates(child, aggregates).get(child);
+      aggregate.folders += 1 + childAggregate.folders;
+      aggregate.files += childAggregate.files;
+      aggregate.size += childAggregate.size;
+      Object.entries(childAggregate.extensions).forEach(([ext, count]) => {
+        aggregate.extensions[ext] = (aggregate.extensions[ext] || 0) + count;
+      });
+    }
+  });
+  
+  aggregates.set(node, aggregate);
+  return aggregates;
+}
+
+function describeFolderAggregate(aggregate) {
+  const topExtensions = Object.entries(aggregate.extensions)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 5)
+    .map(([ext, count]) => `${ext}×${count}`)
+    .join(' ');
+  return `${aggregate.files} files, ${aggregate.folders} subfolders, ${formatFileSize(aggregate.size)}${topExtensions ? `; ${topExtensions}` : ''}`;
+}
+
+// Renders the tree as an indented outline. Folders below maxDepth are collapsed
+// into their summary line; with listFiles false loose files are grouped by extension.
+// lineFiles[i] are the files line i stands for (none for folder and collapsed folder lines).
+function renderTreeOutline(node, aggregates, settings, depth = 0, lines = [], counters = { filesListed: 0, collapsedFolders: 0 }, lineFiles = []) {
+  const indent = '  '.repeat(depth);
+  const aggregate = aggregates.get(node);
+  const push = (line, files) => {
+    lines.push(line);
+    lineFiles.push(files);
+  };
+  
+  // The content of an atomic unit is not listed: it is only moved as a whole
+  const unit = settings.units && settings.units.get(node);
+  if (unit) {
+    push(`${indent}${node.name}/ (${describeFolderAggregate(aggregate)}) [atomic unit: ${unit.type}]`, extractAllFiles(node));
+    return { lines, counters, lineFiles };
+  }
+  push(`${indent}${node.name}/ (${describeFolderAggregate(aggregate)})`, []);
+  
+  if (depth > settings.maxDepth) {
+    counters.collapsedFolders++;
+    return { lines, counters, lineFiles };
+  }
+  
+  const children = node.children || [];
+  const files = children.filter(child => child.type === 'file');
+  
+  if (settings.listFiles) {
+    files.forEach(file => {
+      const hints = describeFileHints(file, settings.excerptBudget);
+      push(`${indent}  ${file.name}${hints ? ` (${hints})` : ''}`, [file]);
+    });
+    counters.filesListed += files.length;
+  } else if (files.length > 0) {
+    const byExtension = {};
+    files.forEach(file => {
+      const ext = file.extension || 'no_extension';
+      if (!byExtension[ext]) byExtension[ext] = { files: [], size: 0, examples: [] };
+      byExtension[ext].files.push(file);
+      byExtension[ext].size += file.stats.size;
+      if (byExtension[ext].examples.length < 2) byExtension[ext].examples.push(file.name);
+    });
+    Object.entries(byExtension).forEach(([ext, group]) => {
+      push(`${indent}  [${group.files.length} ${ext} files, ${formatFileSize(group.size)}, e.g. ${group.examples.join(', ')}]`, group.files);
+    });
+  }
+  
+  children
+    .filter(child => child.type !== 'file')
+    .forEach(child => renderTreeOutline(child, aggregates, settings, depth + 1, lines, counters, lineFiles));
+  
+  return { lines, counters, lineFiles };
+}
+
+// Function to summarize a tree within a token budget: the most detailed outline that fits,
+// going from every file listed to files grouped by extension to collapsing the deepest folders.
+// "includedFiles" are the files the outline actually shows, listed or grouped.
+function buildTreeOutline(folderData, budgetTokens, units = new Map()) {
+  const aggregates = computeFolderAggregates(folderData);
+  const maxDepth = getTreeDepth(folderData);
+  
+  const candidates = [{ listFiles: true, maxDepth }];
+  for (let depth = maxDepth; depth >= 0; depth--) {
+    candidates.push({ listFiles: false, maxDepth: depth });
+  }
+  
+  let rendered;
+  for (const settings of candidates) {
+    // Listed files show their hints, with the excerpts sharing one budget per attempt
+    rendered = renderTreeOutline(folderData, aggregates, { ...settings, units, excerptBudget: createExcerptBudget() });
+    const text = rendered.lines.join('\n');
+    if (estimateTokens(text) <= budgetTokens) {
+      return { text, ...rendered.counters, detail: settings, includedFiles: collectLineFiles(rendered.lineFiles, rendered.lines.length) };
+    }
+  }
+  
+  // Even the root summary alone is too long: keep what fits
+  const text = truncateToTokenBudget(rendered.lines.join('\n'), budgetTokens);
+  return {
+    text,
+    ...rendered.counters,
+    detail: { listFiles: false, maxDepth: 0 },
+    includedFiles: collectLineFiles(rendered.lineFiles, countLinesWithin(rendered.lines, budgetTokens * 4 - 20))
+  };
+}
+
+// Files of the first "count" lines of an outline
+function collectLineFiles(lineFiles, count) {
+  const files = new Set();
+  lineFiles.slice(0, count).forEach(entries => entries.forEach(file => files.add(file)));
+  return files;
+}
+
+// How many of the lines fit whole in maxLength characters once joined with newlines
+function countLinesWithin(lines, maxLength) {
+  let length = -1;
+  let count = 0;
+  while (count < lines.length && length + 1 + lines[count].length <= maxLength) {
+    length += 1 + lines[count].length;
+    count++;
+  }
+  return count;
+}
+
+// Map step for huge trees: each chunk of top-level subtrees is described by the AI.
+// "summaries" are the descriptions the AI gave, each with the files its outlines showed.
+async function summarizeSubtreesWithAI(folderData, budgetTokens, units) {
+  const subtrees = (folderData.children || []).filter(child => child.type !== 'file');
+  const outlines = subtrees.map(subtree => buildTreeOutline(subtree, budgetTokens, units));
+  const chunks = chunkByTokenBudget(outlines.map(outline => outline.text), budgetTokens);
+  emitEvent('stage', { stage: 'summarizing-subtrees' });
+  setProgress({ chunksTotal: chunks.length });
+  
+  const summaries = await mapWithConcurrency(chunks, AI_CONFIG.mapConcurrency, async chunk => {
+    const messages = [
+      { role: "system", content: "You are an assistant expert in file and folder organization." },
+      {
+        role: "user",
+        content: `
+    Describe each of these folders in one or two sentences: what they contain and any organization problems
+    (mixed content, duplicated structure, deep nesting). Start each description with the folder name.
+    
+    ${chunk.join('\n\n')}
+  `
+      }
+    ];
+    
+    const reply = await callAI(messages, { temperature: 0.2 });
+    advanceProgress({ chunksDone: 1 });
+    return reply.fallback ? null : reply.content.trim();
+  });
+  
+  let offset = 0;
+  const described = [];
+  chunks.forEach((chunk, index) => {
+    const chunkOutlines = outlines.slice(offset, offset + chunk.length);
+    offset += chunk.length;
+    if (!summaries[index]) return;
+    
+    const files = new Set();
+    chunkOutlines.forEach(outline => outline.includedFiles.forEach(file => files.add(file)));
+    described.push({ text: summaries[index], files: files });
+  });
+  
+  return {
+    summaries: described,
+    chunks: chunks.length
+  };
+}
+
+function getTreeDepth(node) {
+  const folders = (node.children || []).filter(child => child.type !== 'file');
+  return folders.reduce((depth, folder) => Math.max(depth, 1 + getTreeDepth(folder)), 0);
+}
+
+// Rough token estimate (about 4 characters per token for English text and JSON)
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// Tokens available for the variable part of a prompt, after the fixed template and the reply
+function getPromptBudget(template = '') {
+  const PROMPT_OVERHEAD_TOKENS = 300;
+  return Math.max(
+    500,
+    aiProvider.contextTokens - aiProvider.maxTokens - estimateTokens(template) - PROMPT_OVERHEAD_TOKENS
+  );
+}
+
+function truncateToTokenBudget(text, budgetTokens) {
+  const maxLength = budgetTokens * 4;
+  return text.length <= maxLength ? text : `${text.slice(0, maxLength - 20)}\n[... truncated]`;
+}
+
+// Splits rendered items into chunks whose estimated size fits the budget
+function chunkByTokenBudget(items, budgetTokens) {
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+  
+  items.forEach(item => {
+    const tokens = estimateTokens(item) + 1;
+    if (current.length > 0 && currentTokens + tokens > budgetTokens) {
+      chunks.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(item);
+    currentTokens += tokens;
+  });
+  
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+// Runs an async function over the items with at most "limit" running at once, keeping the order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+}
+
+// Counting semaphore: at most "limit" holders at once, the others wait in arrival order
+function createLimiter(limit) {
+  let active = 0;
+  const waiting = [];
+  
+  return {
+    acquire() {
+      if (active < limit) {
+        active++;
+        return Promise.resolve();
+      }
+      return new Promise(resolve => waiting.push(resolve));
+    },
+    release() {
+      const next = waiting.shift();
+      if (next) {
+        next();
+      } else {
+        active--;
+      }
+    }
+  };
+}
+
+// Runs a provider call in one of the AI slots the operations of a batch share (no limit elsewhere)
+async function withAISlot(context, fn) {
+  const limiter = context && context.aiLimiter;
+  if (!limiter) return fn();
+  
+  await limiter.acquire();
+  try {
+    return await fn();
+  } finally {
+    limiter.release();
+  }
+}
+
+// Function to compute a value derived from a tree node once per request, when the request shares
+// a memo between its operations (a batch); elsewhere it just computes it. "key" tells apart
+// values of the same node computed with different settings. Memoized values are shared, so
+// callers must not modify them.
+function memoizeForRequest(name, node, key, compute) {
+  const context = requestContext.getStore();
+  if (!context || !context.memo) return compute();
+  
+  if (!context.memo[name]) {
+    context.memo[name] = new WeakMap();
+  }
+  const byNode = context.memo[name];
+  if (!byNode.has(node)) {
+    byNode.set(node, new Map());
+  }
+  const values = byNode.get(node);
+  if (!values.has(key)) {
+    values.set(key, compute());
+  }
+  return values.get(key);
+}
+
+// Function to ask the AI for the target folders of suggest, as rules matched against every file
+async function proposeTargetFoldersWithAI(header, structure, extensions) {
+  const prompt = `
+    Propose a target folder structure to reorganize this folder:
+    ${header}
+    Current structure is (folders show file count, size and main extensions):
+    ${structure}
+    
+    Follow these rules:
+    ${getTargetFolderRules(extensions)}
+    
+    Respond only with JSON in this format:
+    { "folders": [ { "path": "folder/subfolder", "rationale": "why", "extensions": [".ext"], "keywords": ["word"], "years": [2024] } ] }
+  `;
+  
+  const messages = [
+    { role: "system", content: "You are an expert in file organization. You reply only with valid JSON." },
+    { role: "user", content: prompt }
+  ];
+  
+  try {
+    const reply = await callAIForJSON(messages, TARGET_FOLDERS_RESPONSE_SCHEMA, {
+      temperature: 0.2,
+      validate: validateTargetFolders
+    });
+    if (reply.fallback) return null;
+    
+    return normalizeTargetFolders(reply.data.folders);
+  } catch (error) {
+    console.error("Error parsing AI response:", error);
+    return null;
+  }
+}
+
+// Rules for the folder proposals, shared by suggest and the sessions
+function getTargetFolderRules(extensions) {
+  return `1. Use at most ${MAX_TARGET_FOLDERS} folders, nested with "/" in "path" and relative to the root (e.g. "Documents/Invoices")
+    2. Name the folders in ${t('language')} and give each one a short rationale in ${t('language')}
+    3. Say which files belong to each folder with "extensions" (among: ${extensions.join(', ')}),
+       "keywords" (words from the current file or folder names, or from the file hints) and "years" (years of last modification);
+       a file goes to a folder only if it matches every criterion given for that folder
+    4. Leave the criteria out for folders that only hold other folders
+    5. Folders marked as atomic units (software projects, app bundles, photo libraries) are moved as a whole:
+       place them with keywords from their name`;
+}
+
+function normalizeTargetFolders(folders) {
+  return folders.map(folder => {
+    const segments = splitTargetPath(folder.path);
+    return {
+      segments: segments,
+      path: segments.join('/'),
+      rationale: folder.rationale.trim(),
+      extensions: (folder.extensions || []).map(normalizeRuleExtension),
+      keywords: (folder.keywords || []).map(keyword => splitWords(keyword)).filter(words => words.length > 0),
+      years: folder.years || []
+    };
+  });
+}
+
+const MAX_TARGET_FOLDERS = 30;
+
+const TARGET_FOLDERS_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['folders'],
+  properties: {
+    folders: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['path', 'rationale'],
+        properties: {
+          path: { type: 'string', minLength: 1 },
+          rationale: { type: 'string', minLength: 1 },
+          extensions: { type: 'array', items: { type: 'string' } },
+          keywords: { type: 'array', items: { type: 'string' } },
+          years: { type: 'array', items: { type: 'integer', minimum: 1970, maximum: 2100 } }
+        }
+      }
+    }
+  }
+};
+
+// Target folders must stay below the root and have valid names on every platform
+function validateTargetFolders(data) {
+  const errors = [];
+  if (data.folders.length > MAX_TARGET_FOLDERS) {
+    errors.push({ pointer: '/folders', message: `at most ${MAX_TARGET_FOLDERS} folders are allowed` });
+  }
+  
+  const seen = new Set();
+  data.folders.forEach((folder, index) => {
+    const pointer = `/folders/${index}/path`;
+    const segments = splitTargetPath(folder.path);
+    
+    if (/^\s*([\\/]|[a-z]:)/i.test(folder.path) || segments.length === 0) {
+      errors.push({ pointer, message: 'must be a relative path below the root' });
+      return;
+    }
+    segments.forEach(segment => {
+      if (segment === '.' || segment === '..') {
+        errors.push({ pointer, message: 'must not contain "." or ".." segments' });
+      } else if (checkFileNameValidity(segment).some(issue => issue.severity === 'error')) {
+        errors.push({ pointer, message: `"${segment}" is not a valid folder name` });
+      }
+    });
+    
+    const key = segments.join('/').toLowerCase();
+    if (seen.has(key)) {
+      errors.push({ pointer, message: `duplicate folder "${folder.path}"` });
+    }
+    seen.add(key);
+  });
+  
+  return errors;
+}
+
+function splitTargetPath(path) {
+  return path.split(/[\\/]/).map(segment => segment.trim()).filter(Boolean);
+}
+
+function normalizeRuleExtension(extension) {
+  const ext = extension.trim().toLowerCase();
+  return ext === 'no_extension' || ext.startsWith('.') ? ext : `.${ext}`;
+}
+
+// Function to build the target tree of suggest. Each file goes to the most specific AI folder
+// it matches, otherwise to a heuristic destination from its type, current folder and date.
+// Files below one of the "keep" folders (relative paths) stay where they are.
+function buildTargetStructure(folderData, files, aiFolders, markerRules, keep = []) {
+  const rootPath = folderData.path || folderData.name || '';
+  const rationales = new Map();
+  const assignments = [];
+  const unmatched = [];
+  let kept = 0;
+  
+  (aiFolders || []).forEach(folder => rationales.set(folder.path.toLowerCase(), folder.rationale));
+  const keptFolders = keep.map(folder => splitTargetPath(folder).join('/').toLowerCase());
+  
+  files.forEach(file => {
+    const currentFolder = getRelativePath(file.path, rootPath).split('/').slice(0, -1);
+    const currentPath = currentFolder.join('/').toLowerCase();
+    const keptFolder = keptFolders.find(folder => currentPath === folder || currentPath.startsWith(`${folder}/`));
+    if (keptFolder !== undefined) {
+      rationales.set(keptFolder, t('structure.rationale.kept'));
+      rationales.set(currentPath, t('structure.rationale.kept'));
+      assignments.push({ file: file, folder: currentFolder, source: 'kept' });
+      kept++;
+      return;
+    }
+    
+    const folder = aiFolders ? findTargetFolder(file, aiFolders, rootPath) : null;
+    if (folder) {
+      assignments.push({ file: file, folder: folder.segments, source: 'ai' });
+    } else {
+      unmatched.push(file);
+    }
+  });
+  assignHeuristicFolders(unmatched, rootPath, rationales, markerRules).forEach(assignment => assignments.push(assignment));
+  
+  const tree = buildTargetTree(folderData.name, assignments, rationales);
+  const treePaths = new Set();
+  const countFolders = node => node.children.reduce((sum, child) => {
+    treePaths.add(child.path.toLowerCase());
+    return sum + 1 + countFolders(child);
+  }, 0);
+  const folderCount = countFolders(tree);
+  
+  return {
+    assignments: assignments,
+    structure: {
+      source: aiFolders ? 'ai' : 'heuristic',
+      root: folderData.name,
+      tree: tree,
+      ascii: renderTargetTree(tree),
+      summary: {
+        folders: folderCount,
+        files: files.length,
+        filesAssignedByAI: files.length - unmatched.length - kept,
+        filesAssignedByHeuristic: unmatched.length,
+        filesKept: kept,
+        // AI folders no file matched are left out of the tree
+        unusedFolders: (aiFolders || []).map(folder => folder.path).filter(path => !treePaths.has(path.toLowerCase()))
+      }
+    }
+  };
+}
+
+// A file matches a folder when it meets every criterion the folder sets (keywords match prefixes
+// of the words of its path or hints, so "fattura" finds "fattura1.pdf"). More criteria, then deeper folders, make a
+// more specific match, and ties keep the folder listed first.
+function findTargetFolder(file, folders, rootPath) {
+  const words = [...splitWords(getRelativePath(file.path, rootPath)), ...getHintWords(file)];
+  const extension = (file.extension || 'no_extension').toLowerCase();
+  const year = getFileYear(file);
+  
+  let best = null;
+  let bestScore = 0;
+  folders.forEach(folder => {
+    const criteria = [];
+    if (folder.extensions.length > 0) criteria.push(folder.extensions.includes(extension));
+    if (folder.keywords.length > 0) criteria.push(folder.keywords.some(keyword => keyword.every(word => words.some(w => w.startsWith(word)))));
+    if (folder.years.length > 0) criteria.push(folder.years.includes(year));
+    if (criteria.length === 0 || criteria.includes(false)) return;
+    
+    const score = criteria.length * 100 + folder.segments.length;
+    if (score > bestScore) {
+      best = folder;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+// Categories where a year subfolder is used as soon as the files span several years
+const DATED_CATEGORY_KEYS = ['images', 'video'];
+
+// Other categories are split by year only above this many files
+const YEAR_SPLIT_MIN_FILES = 25;
+
+// Folder names that say nothing about what they contain
+const GENERIC_FOLDER_NAMES = new Set([
+  'new folder', 'nuova cartella', 'neuer ordner', 'untitled folder', 'senza titolo', 'unbenannt',
+  'new', 'nuovo', 'nuova', 'neu', 'old', 'vecchio', 'vecchi', 'alt', 'temp', 'tmp', 'stuff', 'roba',
+  'files', 'file', 'dateien', 'downloads', 'download', 'scaricati', 'desktop', 'scrivania',
+  'my documents', 'documents', 'docs', 'doc', 'home', 'backup', 'copy', 'copia', 'kopie', 'src', 'assets'
+]);
+
+// Function to assign files to a heuristic folder: a category by extension, then the subcategory
+// found from the file hints, or a subfolder named after a meaningful current folder shared by
+// 2+ files, or after the year for dated files
+function assignHeuristicFolders(files, rootPath, rationales, markerRules) {
+  const filesByExtension = {};
+  files.forEach(file => {
+    const ext = file.extension || 'no_extension';
+    if (!filesByExtension[ext]) {
+      filesByExtension[ext] = [];
+    }
+    filesByExtension[ext].push(file);
+  });
+  const categories = getFallbackCategories(filesByExtension);
+  const setRationale = (path, rationale) => {
+    const key = path.toLowerCase();
+    if (!rationales.has(key)) rationales.set(key, rationale);
+  };
   
-  for (const file of files) {
-    let newName = pattern || '{name}_{counter}';
+  const assignments = [];
+  Object.entries(applyFileHints(mapFilesToCategories(files, categories), rootPath)).forEach(([key, categoryFiles]) => {
+    if (categoryFiles.length === 0) return;
     
-    // Replace tokens with corresponding values
-    newName = newName
-      .replace('{name}', file.name.replace(/\.[^/.]+$/, "")) // Name without extension
-      .replace('{extension}', file.extension || '')
-      .replace('{date}', new Date(file.stats.mtime).toISOString().split('T')[0])
-      .replace('{size}', formatFileSize(file.stats.size))
-      .replace('{counter}', files.indexOf(file) + 1);
-    
-    // Make sure extension is preserved if not specified in pattern
-    if (!newName.includes(file.extension) && file.extension) {
-      newName += file.extension;
+    const label = resolveCategoryLabel(key, categories, markerRules);
+    if (categoryFiles.every(file => file.unit)) {
+      const types = [...new Set(categoryFiles.map(file => file.unit.type))].sort();
+      setRationale(label, t('structure.rationale.units', { types: types.join(', ') }));
+    } else {
+      const extensions = [...new Set(categoryFiles.map(file => file.extension || 'no_extension'))].sort();
+      setRationale(label, t('structure.rationale.category', { extensions: extensions.join(', ') }));
     }
     
-    renameSuggestions.push({
-      originalPath: file.path,
-      originalName: file.name,
-      suggestedName: newName
+    // Path signal: files from a folder with a meaningful name (a project, a client...) stay together
+    const unhinted = categoryFiles.filter(file => !file.subcategory);
+    const projects = new Map();
+    unhinted.forEach(file => {
+      const name = getProjectFolderName(file.path, rootPath);
+      if (!name) return;
+      const projectKey = name.toLowerCase();
+      if (!projects.has(projectKey)) projects.set(projectKey, { name: name, files: [] });
+      projects.get(projectKey).files.push(file);
     });
-  }
+    const projectOf = new Map();
+    projects.forEach(project => {
+      if (project.files.length < 2) return;
+      project.files.forEach(file => projectOf.set(file, project.name));
+    });
+    
+    // Date signal: photos and videos, or large categories, spread over several years go by year
+    const remaining = unhinted.filter(file => !projectOf.has(file));
+    const splitByYear = new Set(remaining.map(getFileYear)).size >= 2 &&
+      (DATED_CATEGORY_KEYS.includes(key) || remaining.length > YEAR_SPLIT_MIN_FILES);
+    
+    categoryFiles.forEach(file => {
+      let subfolder = null;
+      if (file.subcategory) {
+        subfolder = file.subcategory;
+        setRationale(`${label}/${subfolder}`, t('structure.rationale.hints'));
+      } else if (projectOf.has(file)) {
+        subfolder = projectOf.get(file);
+        setRationale(`${label}/${subfolder}`, t('structure.rationale.project', { folder: subfolder }));
+      } else if (splitByYear) {
+        subfolder = String(getFileYear(file));
+        setRationale(`${label}/${subfolder}`, t('structure.rationale.year', { year: subfolder }));
+      }
+      assignments.push({ file: file, folder: subfolder ? [label, ...subfolder.split('/')] : [label], source: 'heuristic' });
+    });
+  });
   
-  return {
-    action: 'rename',
-    pattern: pattern,
-    suggestions: renameSuggestions
-  };
+  return assignments;
 }
 
-// Function to suggest optimal organization
-async function suggestOrganization(folderData) {
-  // Extract statistics and patterns from folder structure
-  const stats = analyzeFolder(folderData);
+// The nearest current folder whose name is not generic, a date or a category, if any
+function getProjectFolderName(filePath, rootPath) {
+  const segments = getRelativePath(filePath, rootPath).split('/').slice(0, -1);
+  for (let i = segments.length - 1; i >= 0; i--) {
+    if (!isGenericFolderName(segments[i])) return segments[i];
+  }
+  return null;
+}
+
+function isGenericFolderName(name) {
+  const normalized = removeAccents(name).trim().toLowerCase();
+  return GENERIC_FOLDER_NAMES.has(normalized) ||
+    /^[\d\s._-]*$/.test(normalized) ||
+    CATEGORY_KEYS.includes(getCategoryKey(name));
+}
+
+function getFileYear(file) {
+  return new Date(file.stats.mtime).getUTCFullYear();
+}
+
+// Nested folders { name, path, rationale, files, fileCount, size, children } from the assignments;
+// fileCount and size include subfolders, files lists only the paths placed directly in the folder
+function buildTargetTree(rootName, assignments, rationales) {
+  const createNode = (name, path) => ({
+    name: name,
+    path: path,
+    rationale: rationales.get(path.toLowerCase()) || null,
+    files: [],
+    fileCount: 0,
+    size: 0,
+    children: []
+  });
+  const root = createNode(rootName, '');
+  const nodes = new Map();
   
-  // Use OpenRouter to generate suggestions based on analysis
-  const prompt = `
-    Analyze this folder structure and suggest the best way to organize it:
-    
-    Total files: ${stats.totalFiles}
-    File types present: ${stats.fileTypes.join(', ')}
-    Total size: ${formatFileSize(stats.totalSize)}
-    Largest files: ${stats.largestFiles.map(f => f.name).join(', ')}
-    
-    Current structure is:
-    ${JSON.stringify(summarizeFolderStructure(folderData), null, 2)}
-    
-    Provide 3-5 specific suggestions on how to better organize this folder.
-    Respond in Italian.
-  `;
+  assignments.forEach(({ file, folder }) => {
+    let node = root;
+    node.fileCount++;
+    node.size += file.stats.size;
+    folder.forEach(segment => {
+      const path = node.path ? `${node.path}/${segment}` : segment;
+      let child = nodes.get(path.toLowerCase());
+      if (!child) {
+        child = createNode(segment, path);
+        nodes.set(path.toLowerCase(), child);
+        node.children.push(child);
+      }
+      child.fileCount++;
+      child.size += file.stats.size;
+      node = child;
+    });
+    node.files.push(file.path);
+  });
   
-  const messages = [
-    { role: "system", content: "You are an assistant expert in file and folder organization." },
-    { role: "user", content: prompt }
-  ];
+  // Parents only implied by a nested AI path describe what they group
+  nodes.forEach(node => {
+    node.children.sort((a, b) => a.name.localeCompare(b.name));
+    if (!node.rationale && node.children.length > 0) {
+      node.rationale = t('structure.rationale.container', { folders: node.children.map(child => child.name).join(', ') });
+    }
+  });
+  root.children.sort((a, b) => a.name.localeCompare(b.name));
   
-  const suggestions = await callOpenRouter(messages, 0.7);
+  return root;
+}
+
+function renderTargetTree(root) {
+  const describe = node => `${node.name}/ (${t('structure.counts', { files: node.fileCount, size: formatFileSize(node.size) })})`;
+  const lines = [describe(root)];
   
-  return {
-    action: 'suggest',
-    folderStats: stats,
-    suggestions: suggestions,
-    // Add a visual representation of suggested structure
-    suggestedStructure: generateSuggestedStructure(folderData, suggestions)
+  const render = (node, prefix) => {
+    node.children.forEach((child, index) => {
+      const isLast = index === node.children.length - 1;
+      lines.push(`${prefix}${isLast ? '└── ' : '├── '}${describe(child)}`);
+      render(child, prefix + (isLast ? '    ' : '│   '));
+    });
   };
+  render(root, '');
+  
+  return lines.join('\n');
 }
 
-// Function to search files based on semantic descriptions
-async function searchByDescription(folderData, query) {
-  const files = extractAllFiles(folderData);
-  
-  if (!isAIEnabled) {
-    // Provide a basic keyword-based search as fallback
-    return {
-      action: 'search',
-      query: query,
-      matches: performBasicKeywordSearch(files, query),
-      aiStatus: 'disabled',
-      note: 'Ricerca basata su parole chiave. La ricerca semantica richiede una chiave API OpenRouter.'
-    };
+const MAX_SESSION_MESSAGE_CHARS = 4000;
+
+// Function to start a session: the tree is summarized once, and the first proposal comes from
+// the AI folder rules like in suggest (or from the heuristics when the AI is not available)
+async function createSession(body, acceptLanguage, client) {
+  const { folderData, options = {} } = body;
+  if (!folderData) {
+    throw createHttpError(400, 'Missing folder data');
   }
+  const nodeCount = validateFolderData(folderData);
+  if (nodeCount > AI_CONFIG.sessions.maxNodes) {
+    throw createHttpError(413, 'Folder too large for a session', [{
+      pointer: '/folderData',
+      message: `sessions accept at most ${AI_CONFIG.sessions.maxNodes} nodes`
+    }]);
+  }
+  checkSessionQuota(client);
   
-  // Use OpenRouter to analyze semantic query and find matching files
-  const fileDescriptions = files.map(file => ({
-    path: file.path,
-    name: file.name,
-    type: file.extension,
-    size: file.stats.size,
-    modified: new Date(file.stats.mtime).toISOString()
-  }));
+  const context = {
+    aiCalls: [],
+    locale: resolveLocale(body.locale || options.locale, acceptLanguage),
+    client: client
+  };
   
-  const prompt = `
-    Given these files:
-    ${JSON.stringify(fileDescriptions, null, 2)}
+  const session = await requestContext.run(context, async () => {
+    const markerRules = compileMarkerRules(options.markers);
+    const stats = analyzeFolder(folderData);
+    const header = `
+      Total files: ${stats.totalFiles}
+      File types present: ${stats.fileTypes.join(', ')}
+      Total size: ${formatFileSize(stats.totalSize)}
+    `;
     
-    Find the ones that best match the following description: "${query}"
-    Provide a relevance score from 0 to 100 for each file that might match.
-    Respond in Italian.
-  `;
+    // Half of the prompt is left for the proposal, the summary and the recent turns
+    const outline = buildTreeOutline(folderData, Math.floor(getPromptBudget(header) / 2), detectAtomicUnits(folderData, markerRules));
+    const folders = await proposeTargetFoldersWithAI(header, outline.text, stats.fileTypes);
+    
+    const session = {
+      id: crypto.randomUUID(),
+      owner: client ? client.name : null,
+      createdAt: new Date().toISOString(),
+      locale: context.locale,
+      folderData: folderData,
+      nodeCount: nodeCount,
+      markers: options.markers,
+      treeSummary: `${header.trim()}\n${outline.text}`,
+      fileTypes: stats.fileTypes,
+      summary: '',
+      history: [],
+      turns: 0,
+      folders: folders,
+      keep: [],
+      busy: false
+    };
+    updateSessionSuggestion(session, markerRules);
+    return session;
+  });
   
-  const messages = [
-      { role: "system", content: "You are an assistant expert in file analysis and search." },
-      { role: "user", content: prompt }
-  ];
+  // Other sessions of the same key may have been created in the meantime
+  checkSessionQuota(client);
+  sessionStore.save(session);
+  return addRequestInfo(describeSession(session), context);
+}
+
+// Each API key has at most settings.maxPerClient sessions open at once
+function checkSessionQuota(client) {
+  const { maxPerClient } = AI_CONFIG.sessions;
+  if (client && sessionStore.countOwnedBy(client.name) >= maxPerClient) {
+    throw createHttpError(429, 'Too many open sessions', [{
+      pointer: '',
+      message: `at most ${maxPerClient} sessions per API key: delete one with DELETE /sessions/:id or let it expire`
+    }]);
+  }
+}
+
+// Function to run one turn: the AI gets the tree summary, the summary of the older turns, the
+// recent turns and the current proposal, and answers with a reply and the updated folder rules
+async function sendSessionMessage(session, body, client) {
+  const message = typeof body.message === 'string' ? body.message.trim() : '';
+  if (!message) {
+    throw createHttpError(400, 'Missing message', [{ pointer: '/message', message: 'is required' }]);
+  }
+  if (message.length > MAX_SESSION_MESSAGE_CHARS) {
+    throw createHttpError(400, 'Message too long', [{ pointer: '/message', message: `at most ${MAX_SESSION_MESSAGE_CHARS} characters are allowed` }]);
+  }
+  if (session.busy) {
+    throw createHttpError(409, 'The session is answering another message');
+  }
   
+  const context = { aiCalls: [], locale: session.locale, client: client };
+  session.busy = true;
   try {
-    const aiResponse = await callOpenRouter(messages, 0.2);
-    const matchedFiles = parseAISearchResponse(aiResponse, files);
-    
-    return {
-      action: 'search',
-      query: query,
-      matches: matchedFiles
-    };
-  } catch (error) {
-    console.error("Error in AI search:", error);
-    // Fallback to keyword search
-    return {
-      action: 'search',
-      query: query,
-      matches: performBasicKeywordSearch(files, query),
-      error: error.message,
-      note: 'Fallback a ricerca basata su parole chiave a causa di un errore con l\'AI.'
-    };
+    const turn = await requestContext.run(context, () => runSessionTurn(session, message));
+    sessionStore.save(session);
+    return addRequestInfo(turn, context);
+  } finally {
+    session.busy = false;
   }
 }
 
-// Simple keyword-based search as fallback
-function performBasicKeywordSearch(files, query) {
-  const keywords = query.toLowerCase().split(/\s+/).filter(k => k.length > 2);
+async function runSessionTurn(session, message) {
+  let reply;
+  try {
+    reply = await callAIForJSON(buildSessionMessages(session, message), SESSION_RESPONSE_SCHEMA, {
+      temperature: 0.2,
+      validate: validateSessionReply
+    });
+  } catch (error) {
+    console.error("Error parsing AI session reply:", error);
+    reply = { error: error };
+  }
   
-  // No useful keywords to search
-  if (keywords.length === 0) {
+  // Without a usable reply the proposal stays as it is, and the turn is not recorded
+  if (reply.fallback || reply.error) {
     return {
-      note: "Nessuna parola chiave significativa trovata nella query. Prova a essere più specifico."
+      turn: session.turns,
+      reply: t(reply.fallback ? 'session.aiUnavailable' : 'session.invalidReply'),
+      changed: false,
+      suggestion: session.suggestion,
+      diff: diffSessionSuggestions(session.destinations, session.destinations)
     };
   }
   
-  const results = files
-    .map(file => {
-      // Check for keyword matches in file name, path and extension
-      const searchString = `${file.name} ${file.path} ${file.extension || ''}`.toLowerCase();
-      
-      // Calculate a simple relevance score
-      let matches = 0;
-      let totalMatches = 0;
-      
-      keywords.forEach(keyword => {
-        const count = (searchString.match(new RegExp(keyword, 'g')) || []).length;
-        if (count > 0) matches++;
-        totalMatches += count;
-      });
-      
-      // If no matches, exclude this file
-      if (matches === 0) return null;
-      
-      // Calculate a simple score based on number of matching keywords and total matches
-      const score = Math.min(100, Math.round((matches / keywords.length) * 70 + (totalMatches / keywords.length) * 30));
-      
-      return {
-        file: file,
-        relevanceScore: score,
-        reason: `Contiene ${matches} delle parole chiave cercate`
-      };
-    })
-    .filter(Boolean) // Remove null entries
-    .sort((a, b) => b.relevanceScore - a.relevanceScore) // Sort by relevance
-    .slice(0, 10); // Limit results
+  const previous = session.destinations;
+  session.folders = normalizeTargetFolders(reply.data.folders);
+  session.keep = (reply.data.keep || []).map(folder => splitTargetPath(folder).join('/'));
+  updateSessionSuggestion(session, compileMarkerRules(session.markers));
+  const diff = diffSessionSuggestions(previous, session.destinations);
   
-  return results.length > 0 ? results : { note: "Nessun file trovato con queste parole chiave." };
-}
-
-// Helper functions
-
-function extractAllFiles(folderData, results = []) {
-  if (folderData.type === 'file') {
-    results.push(folderData);
-  } else if (folderData.children && Array.isArray(folderData.children)) {
-    folderData.children.forEach(child => {
-      extractAllFiles(child, results);
-    });
-  }
-  return results;
+  session.history.push({ role: 'user', content: message }, { role: 'assistant', content: reply.data.reply.trim() });
+  session.turns++;
+  await compactSessionHistory(session);
+  
+  return {
+    turn: session.turns,
+    reply: reply.data.reply.trim(),
+    changed: diff.changedFiles.length > 0 || diff.addedFolders.length > 0 || diff.removedFolders.length > 0,
+    suggestion: session.suggestion,
+    diff: diff
+  };
 }
 
-async function determineCategoriesWithAI(filesByExtension) {
-  // Prepare an input for the AI describing the file types
-  const extensionSummary = Object.entries(filesByExtension).map(([ext, files]) => {
-    return `${ext}: ${files.length} files (examples: ${files.slice(0, 3).map(f => f.name).join(', ')})`;
-  }).join('\n');
+function buildSessionMessages(session, message) {
+  const context = [
+    `Folder being reorganized:\n${session.treeSummary}`,
+    session.summary ? `Summary of the earlier conversation:\n${session.summary}` : ''
+  ].filter(Boolean).join('\n\n');
+  
+  const proposal = session.folders
+    ? JSON.stringify({ folders: describeTargetFolders(session.folders), keep: session.keep })
+    : 'none yet (files are placed by type, current folder and date)';
   
   const prompt = `
-    Given these file types in a folder:
+    Current proposal (folder rules):
+    ${proposal}
+    Resulting target tree:
+    ${truncateToTokenBudget(session.suggestion.structure.ascii, 1000)}
     
-    ${extensionSummary}
+    The user says: ${JSON.stringify(message)}
     
-    Suggest logical categories to organize them, following these rules:
-    1. Group similar extensions (e.g., .jpg, .png under "Images")
-    2. Create 4-7 categories, not more
-    3. Assign each extension to only one category
-    4. Use meaningful category names in Italian
+    Update the proposal as the user asks, keeping what they did not ask to change, and answer them briefly.
+    Follow these rules:
+    ${getTargetFolderRules(session.fileTypes)}
+    6. List in "keep" the current folders (relative paths) whose files must stay where they are
+    7. Write "reply" in ${t('language')}
     
-    Provide the result as JSON with format:
-    { "categoryName": ["extension1", "extension2", ...], ... }
+    Respond only with JSON in this format, with the complete updated proposal:
+    { "reply": "what changed", "folders": [ { "path": "folder/subfolder", "rationale": "why", "extensions": [".ext"], "keywords": ["word"], "years": [2024] } ], "keep": ["current/folder"] }
   `;
   
-  const messages = [
-    { role: "system", content: "You are an expert in file organization." },
+  return [
+    { role: "system", content: `You are an assistant expert in file and folder organization, helping the user refine a target folder structure. You reply only with valid JSON.\n\n${context}` },
+    ...session.history,
     { role: "user", content: prompt }
   ];
-  
-  try {
-    const aiResponse = await callOpenRouter(messages, 0.2);
-    
-    // Extract JSON from response
-    const jsonMatch = aiResponse.match(/```json([\s\S]*?)```/) || 
-                      aiResponse.match(/\{[\s\S]*\}/);
-                      
-    const jsonStr = jsonMatch ? jsonMatch[0].replace(/```json|```/g, '') : aiResponse;
-    return JSON.parse(jsonStr);
-  } catch (error) {
-    console.error("Error parsing AI response:", error);
-    // Fallback to simple categories based on common extensions
-    return {
-      "Documenti": [".pdf", ".doc", ".docx", ".txt", ".rtf"],
-      "Immagini": [".jpg", ".jpeg", ".png", ".gif", ".bmp", ".tiff"],
-      "Video": [".mp4", ".avi", ".mov", ".wmv", ".mkv"],
-      "Audio": [".mp3", ".wav", ".aac", ".flac", ".ogg"],
-      "Archivi": [".zip", ".rar", ".7z", ".tar", ".gz"],
-      "Altri": ["no_extension"]
-    };
+}
+
+const SESSION_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['reply', 'folders'],
+  properties: {
+    reply: { type: 'string', minLength: 1 },
+    folders: TARGET_FOLDERS_RESPONSE_SCHEMA.properties.folders,
+    keep: { type: 'array', items: { type: 'string', minLength: 1 } }
   }
+};
+
+function validateSessionReply(data) {
+  const errors = validateTargetFolders(data);
+  (data.keep || []).forEach((folder, index) => {
+    const segments = splitTargetPath(folder);
+    if (/^\s*([\\/]|[a-z]:)/i.test(folder) || segments.length === 0 || segments.some(segment => segment === '.' || segment === '..')) {
+      errors.push({ pointer: `/keep/${index}`, message: 'must be a relative path below the root' });
+    }
+  });
+  return errors;
 }
 
-function mapFilesToCategories(files, categories) {
-  const result = {};
-  
-  // Initialize categories
-  Object.keys(categories).forEach(category => {
-    result[category] = [];
+// The folder rules as the AI writes them, to show the current proposal in the next prompt
+function describeTargetFolders(folders) {
+  return folders.map(folder => {
+    const rule = { path: folder.path, rationale: folder.rationale };
+    if (folder.extensions.length > 0) rule.extensions = folder.extensions;
+    if (folder.keywords.length > 0) rule.keywords = folder.keywords.map(words => words.join(' '));
+    if (folder.years.length > 0) rule.years = folder.years;
+    return rule;
   });
+}
+
+// Function to rebuild the target tree and move plan of a session from its folder rules and
+// kept folders, remembering the destination folder of every file for the next diff
+function updateSessionSuggestion(session, markerRules) {
+  const items = extractOrganizableItems(session.folderData, markerRules);
+  const target = buildTargetStructure(session.folderData, items, session.folders, markerRules, session.keep);
   
-  // Add an "Altri" (Others) category if it doesn't exist
-  if (!result["Altri"]) {
-    result["Altri"] = [];
-  }
-  
-  // Map each file to its category
-  files.forEach(file => {
-    let assigned = false;
-    const ext = file.extension || 'no_extension';
-    
-    // Find which category the extension belongs to
-    for (const [category, extensions] of Object.entries(categories)) {
-      if (extensions.includes(ext)) {
-        result[category].push(file);
-        assigned = true;
-        break;
-      }
-    }
-    
-    // If not assigned to any category, put it in "Altri" (Others)
-    if (!assigned) {
-      result["Altri"].push(file);
-    }
+  const destinations = {};
+  target.assignments.forEach(({ file, folder }) => {
+    destinations[file.path] = folder.join('/');
   });
   
-  return result;
+  session.destinations = destinations;
+  session.suggestion = {
+    structure: target.structure,
+    keep: session.keep,
+    plan: buildMovePlan(session.folderData, target.assignments)
+  };
 }
 
-function analyzeFolder(folderData) {
-  const files = extractAllFiles(folderData);
-  const fileTypes = [...new Set(files.map(f => f.extension || 'no_extension'))];
-  const totalSize = files.reduce((sum, file) => sum + file.stats.size, 0);
+// Files with a new destination folder, and folders that appear in or disappear from the tree
+function diffSessionSuggestions(before, after) {
+  const changedFiles = [];
+  let unchangedFiles = 0;
+  Object.entries(after).forEach(([path, folder]) => {
+    if (before[path] === folder) {
+      unchangedFiles++;
+    } else {
+      changedFiles.push({ path: path, from: before[path] ?? null, to: folder });
+    }
+  });
   
-  // Find largest files
-  const sortedBySize = [...files].sort((a, b) => b.stats.size - a.stats.size);
-  const largestFiles = sortedBySize.slice(0, 5);
+  const listFolders = destinations => {
+    const folders = new Set();
+    Object.values(destinations).forEach(folder => {
+      const segments = folder ? folder.split('/') : [];
+      segments.forEach((_, index) => folders.add(segments.slice(0, index + 1).join('/')));
+    });
+    return folders;
+  };
+  const foldersBefore = listFolders(before);
+  const foldersAfter = listFolders(after);
   
   return {
-    totalFiles: files.length,
-    fileTypes,
-    totalSize,
-    largestFiles: largestFiles.map(f => ({
-      name: f.name,
-      path: f.path,
-      size: f.stats.size
-    })),
-    oldestFile: files.length > 0 ? 
-      files.reduce((oldest, file) => 
-        file.stats.mtime < oldest.stats.mtime ? file : oldest
-      ) : null,
-    newestFile: files.length > 0 ?
-      files.reduce((newest, file) => 
-        file.stats.mtime > newest.stats.mtime ? file : newest
-      ) : null
+    changedFiles: changedFiles,
+    unchangedFiles: unchangedFiles,
+    addedFolders: [...foldersAfter].filter(folder => !foldersBefore.has(folder)).sort(),
+    removedFolders: [...foldersBefore].filter(folder => !foldersAfter.has(folder)).sort()
   };
 }
 
-function summarizeFolderStructure(folderData, depth = 0, maxDepth = 2) {
-  if (depth > maxDepth) {
-    return `${folderData.name} (e altri elementi...)`;
-  }
+// Function to keep the history bounded: the oldest turns beyond settings.historyTurns (or beyond a
+// quarter of the prompt budget) are folded into the session summary. Without the AI the summary
+// falls back to the list of the user requests.
+async function compactSessionHistory(session) {
+  const settings = AI_CONFIG.sessions;
+  const budget = Math.floor(getPromptBudget() / 4);
+  const historyTokens = () => session.history.reduce((sum, entry) => sum + estimateTokens(entry.content), 0);
   
-  if (folderData.type === 'file') {
-    return folderData.name;
+  const older = [];
+  while (session.history.length > 2 && (session.history.length > settings.historyTurns * 2 || historyTokens() > budget)) {
+    older.push(...session.history.splice(0, 2));
   }
+  if (older.length === 0) return;
   
-  const result = {
-    name: folderData.name,
-    children: []
-  };
-  
-  if (folderData.children && Array.isArray(folderData.children)) {
-    // Limit to 10 items per level to keep output manageable
-    const limitedChildren = folderData.children.slice(0, 10);
-    result.children = limitedChildren.map(child => 
-      summarizeFolderStructure(child, depth + 1, maxDepth)
-    );
-    
-    if (folderData.children.length > 10) {
-      result.children.push(`... e altri ${folderData.children.length - 10} elementi`);
+  const transcript = older.map(entry => `${entry.role === 'user' ? 'User' : 'Assistant'}: ${entry.content}`).join('\n');
+  const messages = [
+    { role: "system", content: "You are an assistant expert in file and folder organization." },
+    {
+      role: "user",
+      content: `
+        Update the summary of a conversation about reorganizing a folder with its next turns.
+        Keep every request of the user that still applies (folders to keep, names, splits by year or type) and drop the rest.
+        Answer with the summary only, in at most ${Math.floor(settings.summaryTokens * 0.75)} words.
+        
+        Summary so far:
+        ${session.summary || 'none'}
+        
+        Next turns:
+        ${transcript}
+      `
     }
-  }
+  ];
   
-  return result;
+  const reply = await callAI(messages, { temperature: 0.2 });
+  if (reply.fallback) {
+    const requests = older.filter(entry => entry.role === 'user').map(entry => `- ${entry.content}`);
+    const summary = [session.summary, ...requests].filter(Boolean).join('\n');
+    // The latest requests matter most, so the start is cut
+    session.summary = summary.length > settings.summaryTokens * 4 ? summary.slice(-settings.summaryTokens * 4) : summary;
+    return;
+  }
+  session.summary = truncateToTokenBudget(reply.content.trim(), settings.summaryTokens);
 }
 
-function generateSuggestedStructure(folderData, aiSuggestions) {
-  // If AI is not enabled, provide a generic structure
-  if (!isAIEnabled || !aiSuggestions) {
-    const basicStructure = {
-      "Documenti/": {
-        description: "File di testo, documenti e PDF",
-        extensions: [".pdf", ".doc", ".txt", ".md"]
-      },
-      "Immagini/": {
-        description: "File di immagini",
-        extensions: [".jpg", ".png", ".gif", ".svg"]
-      },
-      "Codice/": {
-        description: "File di codice sorgente",
-        extensions: [".js", ".ts", ".py", ".html", ".css"]
-      },
-      "Risorse/": {
-        description: "Asset e risorse varie",
-        extensions: [".svg", ".json", ".xml"]
-      },
-      "Archivi/": {
-        description: "File compressi",
-        extensions: [".zip", ".rar", ".7z"]
-      }
-    };
-    
-    return {
-      currentRoot: folderData.name,
-      suggestedChanges: [
-        "1. Organizza i file in cartelle per tipo (Documenti, Immagini, Codice, ecc.)",
-        "2. Usa nomi consistenti per i file",
-        "3. Separa i file sorgente dai file generati",
-        "4. Archivia regolarmente i file non più utilizzati",
-        "5. Considera di usare tag o prefissi per raggruppare file correlati"
-      ],
-      suggestedFolders: basicStructure,
-      note: "Questa è una struttura generica. Attiva l'AI per suggerimenti personalizzati."
-    };
-  }
-  
-  // Simple visual representation of suggested structure
-  // In a real implementation, this could generate an interactive tree
+// Public view of a session (the tree and the internal state stay on the server)
+function describeSession(session) {
   return {
-    currentRoot: folderData.name,
-    suggestedChanges: aiSuggestions.split('\n').filter(line => line.trim()),
-    visualization: "Rappresentazione grafica verrebbe generata qui"
+    id: session.id,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    expiresAt: session.expiresAt,
+    locale: session.locale,
+    turns: session.turns,
+    summary: session.summary,
+    history: session.history,
+    suggestion: session.suggestion
   };
 }
 
-function parseAISearchResponse(aiResponse, files) {
-  // Attempt to extract files and scores from AI response
-  // This is a simplified approach, might require more sophisticated text analysis
-  const matches = [];
+// Sessions live in memory only, as they hold the whole tree. Each one expires settings.ttlMs
+// after its last use, and the least recently used are dropped beyond settings.maxSessions
+// sessions or settings.maxNodes tree nodes in all.
+function createSessionStore(settings) {
+  const sessions = new Map();
+  let nodes = 0;
   
-  // Look for mentions of file names with scores
-  const fileNames = files.map(f => f.name);
+  const remove = id => {
+    const session = sessions.get(id);
+    if (!session) return;
+    nodes -= session.nodeCount;
+    sessions.delete(id);
+  };
   
-  // Pattern to find file:score matches
-  const scorePattern = /(['"]?)([^'"]+)\1\s*[:|-]\s*(\d+)/g;
-  let match;
+  const timer = setInterval(() => {
+    sessions.forEach((session, id) => {
+      if (isRecordExpired(session)) remove(id);
+    });
+  }, Math.min(settings.ttlMs, 60 * 1000));
+  timer.unref();
   
-  while ((match = scorePattern.exec(aiResponse)) !== null) {
-    const fileName = match[2].trim();
-    const score = parseInt(match[3]);
-    
-    // Find most likely matching file
-    const bestMatch = findBestFileNameMatch(fileName, files);
-    
-    if (bestMatch) {
-      matches.push({
-        file: bestMatch,
-        relevanceScore: score,
-        reason: "Corrispondenza con la query dell'utente"
+  return {
+    get(id) {
+      const session = sessions.get(id);
+      if (!session || isRecordExpired(session)) return null;
+      return session;
+    },
+    save(session) {
+      session.updatedAt = new Date().toISOString();
+      session.expiresAt = new Date(Date.now() + settings.ttlMs).toISOString();
+      remove(session.id);
+      sessions.set(session.id, session);
+      nodes += session.nodeCount;
+      
+      // The session just saved is the most recently used, so it is the last to go
+      while (sessions.size > 1 && (sessions.size > Math.max(1, settings.maxSessions) || nodes > settings.maxNodes)) {
+        remove(sessions.keys().next().value);
+      }
+    },
+    delete(id) {
+      remove(id);
+    },
+    countOwnedBy(owner) {
+      let count = 0;
+      sessions.forEach(session => {
+        if (session.owner === owner && !isRecordExpired(session)) count++;
       });
+      return count;
+    },
+    get size() {
+      return sessions.size;
+    },
+    get nodes() {
+      return nodes;
+    }
+  };
+}
+
+// Validates a value against a small subset of JSON Schema (type, properties, required,
+// additionalProperties, items, enum, minimum, maximum, minLength, minItems).
+// Returns a list of { pointer, message } with JSON-pointer locations.
+function validateAgainstSchema(value, schema, pointer = '') {
+  const errors = [];
+  const location = pointer || '/';
+  
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesSchemaType(value, type))) {
+      errors.push({ pointer: location, message: `expected ${types.join(' or ')}` });
+      return errors;
     }
   }
   
-  // If fails to extract in structured format, return full response
-  if (matches.length === 0) {
-    return {
-      rawAIResponse: aiResponse,
-      note: "Non è stato possibile estrarre corrispondenze strutturate"
-    };
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ pointer: location, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
   }
   
-  return matches.sort((a, b) => b.relevanceScore - a.relevanceScore);
-}
-
-function findBestFileNameMatch(name, files) {
-  // Find file that best matches the given name
-  // Use simple substring matching
-  for (const file of files) {
-    if (file.name.toLowerCase().includes(name.toLowerCase()) || 
-        name.toLowerCase().includes(file.name.toLowerCase())) {
-      return file;
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ pointer: location, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ pointer: location, message: `must be <= ${schema.maximum}` });
     }
   }
   
-  // If no exact matches, try partial matches
-  let bestMatch = null;
-  let bestScore = 0;
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ pointer: location, message: `must have at least ${schema.minLength} characters` });
+  }
   
-  for (const file of files) {
-    const score = calculateSimilarity(file.name.toLowerCase(), name.toLowerCase());
-    if (score > bestScore) {
-      bestScore = score;
-      bestMatch = file;
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ pointer: location, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateAgainstSchema(item, schema.items, `${pointer}/${index}`));
+      });
+    }
+  } else if (value && typeof value === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ pointer: `${pointer}/${escapeJSONPointer(key)}`, message: 'is required' });
+      }
+    });
+    
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      const propertySchema = schema.properties && schema.properties[key];
+      if (propertySchema) {
+        errors.push(...validateAgainstSchema(propertyValue, propertySchema, `${pointer}/${escapeJSONPointer(key)}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ pointer: `${pointer}/${escapeJSONPointer(key)}`, message: 'is not allowed' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateAgainstSchema(propertyValue, schema.additionalProperties, `${pointer}/${escapeJSONPointer(key)}`));
+      }
+    });
+  }
+  
+  return errors;
+}
+
+function matchesSchemaType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+function escapeJSONPointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// Converts a glob to a case-insensitive regex on "/"-separated paths: "**" spans folders,
+// "*" and "?" stay within one segment, "{a,b}" are alternatives. The glob can match
+// starting at any folder boundary, so "*/Fatture/*" matches files at any depth
+function globToRegExp(glob) {
+  let source = '';
+  const pattern = glob.replace(/\\/g, '/');
+  
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i++;
+      if (pattern[i + 1] === '/') i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+        continue;
+      }
+      source += `(?:${pattern.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
     }
   }
   
-  // Require minimum similarity
-  return bestScore > 0.3 ? bestMatch : null;
+  const anchored = pattern.startsWith('/') ? `^${source}` : `(?:^|/)${source}`;
+  return new RegExp(`${anchored}$`, 'i');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
 }
 
-function calculateSimilarity(str1, str2) {
-  // Simplified implementation of Levenshtein distance
-  // For a production app, use a more robust library
-  let longerStr = str1.length > str2.length ? str1 : str2;
-  let shorterStr = str1.length > str2.length ? str2 : str1;
+// Edit distance counting insertions, deletions, substitutions and swaps of adjacent characters
+function levenshteinDistance(str1, str2) {
+  if (str1 === str2) return 0;
+  if (!str1.length) return str2.length;
+  if (!str2.length) return str1.length;
   
-  // Find number of shared characters
-  let sharedChars = 0;
-  for (let i = 0; i < shorterStr.length; i++) {
-    if (longerStr.includes(shorterStr[i])) {
-      sharedChars++;
+  // Rolling rows of the dynamic programming table (two rows back are needed for swaps)
+  let beforePreviousRow = null;
+  let previousRow = Array.from({ length: str2.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= str1.length; i++) {
+    const currentRow = [i];
+    for (let j = 1; j <= str2.length; j++) {
+      const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
+      currentRow[j] = Math.min(
+        previousRow[j] + 1,
+        currentRow[j - 1] + 1,
+        previousRow[j - 1] + cost
+      );
+      if (beforePreviousRow && i > 1 && j > 1 &&
+          str1[i - 1] === str2[j - 2] && str1[i - 2] === str2[j - 1]) {
+        currentRow[j] = Math.min(currentRow[j], beforePreviousRow[j - 2] + 1);
+      }
     }
+    beforePreviousRow = previousRow;
+    previousRow = currentRow;
   }
   
-  return sharedChars / longerStr.length;
+  return previousRow[str2.length];
+}
+
+// Similarity between 0 and 1 based on the edit distance
+function nameSimilarity(str1, str2) {
+  const maxLength = Math.max(str1.length, str2.length);
+  if (maxLength === 0) return 1;
+  return 1 - levenshteinDistance(str1, str2) / maxLength;
 }
 
 function formatFileSize(bytes) {
@@ -700,7 +7351,22 @@ function formatFileSize(bytes) {
 
 // Base endpoint for status check
 app.get('/', (req, res) => {
-  res.json({ status: 'OrganAIzer API is running with OpenRouter' });
+  res.json({
+    status: `OrganAIzer API is running with ${aiProvider.label}`,
+    aiProvider: aiProvider.name,
+    aiModel: aiProvider.model,
+    aiFallbackModels: aiProvider.fallbackModels,
+    aiCircuit: isAICircuitOpen() ? 'open' : 'closed',
+    jobs: {
+      store: jobStore.name,
+      running: jobQueue.running,
+      queued: jobQueue.pending
+    },
+    sessions: {
+      active: sessionStore.size,
+      nodes: sessionStore.nodes
+    }
+  });
 });
 
 // Start server